@@ -0,0 +1,121 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Longest setTimeout delay, longer ones fire at once
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// WebSocket close codes, as in the graphql-transport-ws protocol
+export const UNAUTHORIZED = 4401; // missing or expired token, get a new one
+export const FORBIDDEN = 4403; // invalid token
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function authError(message, closeCode) {
+  const error = new Error(message);
+  error.closeCode = closeCode;
+  // Used by fastify as the HTTP status code
+  error.statusCode = closeCode === UNAUTHORIZED ? 401 : 403;
+  return error;
+}
+
+// HMAC-signed JWT (HS256), expiresIn in seconds
+export function signToken(claims, secret, { expiresIn = 3_600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(
+    JSON.stringify({ iat: now, exp: now + expiresIn, ...claims }),
+  );
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+}
+
+// Returns the claims of a valid token, throws an error with the close code otherwise
+export function verifyToken(token, secret) {
+  if (!token) {
+    throw authError('Missing token', UNAUTHORIZED);
+  }
+
+  const [header, payload, signature = ''] = token.split('.');
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw authError('Invalid token', FORBIDDEN);
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') {
+      throw new Error(`Unsupported algorithm: ${alg}`);
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    throw authError('Invalid token', FORBIDDEN);
+  }
+  if (claims.exp != null && claims.exp * 1000 <= Date.now()) {
+    throw authError('Token expired', UNAUTHORIZED);
+  }
+  return claims;
+}
+
+// 'Bearer <token>' from the Authorization header or the connection params,
+// which may hold any JSON value
+function readToken(authorization) {
+  if (authorization != null && typeof authorization !== 'string') {
+    throw authError('Invalid token', FORBIDDEN);
+  }
+  return authorization?.replace(/^Bearer\s+/i, '');
+}
+
+// Mercurius hooks checking the tokens signed with the secret.
+// The verified claims are available to the resolvers as context.identity
+export function createAuth(secret) {
+  return {
+    // WebSocket connections, the token is in the connection_init payload:
+    // { authorization: 'Bearer <token>' }
+    async onConnect({ payload }) {
+      // Mercurius calls onConnect with the connection as this
+      const socket = this?.socket;
+      let identity;
+      try {
+        identity = verifyToken(readToken(payload?.authorization), secret);
+      } catch (error) {
+        // Close with a code telling the client whether a new token may help,
+        // mercurius would close without any
+        socket?.close(error.closeCode, error.message);
+        return false;
+      }
+
+      // Close the connection when the token expires, the client reconnects with a new one
+      if (socket && identity.exp != null) {
+        let timer;
+        // Tokens valid for more than the longest delay re-arm the timer until they expire
+        const arm = () => {
+          const delay = identity.exp * 1000 - Date.now();
+          timer = setTimeout(
+            () =>
+              delay > MAX_TIMER_DELAY
+                ? arm()
+                : socket.close(UNAUTHORIZED, 'Token expired'),
+            Math.min(delay, MAX_TIMER_DELAY),
+          );
+          timer.unref();
+        };
+        arm();
+        socket.once('close', () => clearTimeout(timer));
+      }
+      return { identity };
+    },
+
+    // HTTP requests and SSE streams, the token is in the Authorization header
+    context(request) {
+      return {
+        identity: verifyToken(readToken(request.headers.authorization), secret),
+      };
+    },
+  };
+}
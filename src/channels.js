@@ -0,0 +1,20 @@
+import mercurius from 'mercurius';
+
+// Channel of the messages sent and subscribed without one,
+// and of the messages logged before the channels
+export const DEFAULT_CHANNEL = 'general';
+
+// The channel names end up in the pubsub topics,
+// where '/', '+' and '#' are separators and wildcards
+const CHANNEL_NAME = /^[\w-]{1,64}$/;
+
+// The pubsub topic of the messages of a channel
+export function channelTopic(channel) {
+  if (!CHANNEL_NAME.test(channel)) {
+    throw new mercurius.ErrorWithProps('Invalid channel name', {
+      code: 'BAD_CHANNEL',
+      channel,
+    });
+  }
+  return `MESSAGE_SENT:${channel}`;
+}
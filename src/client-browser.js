@@ -0,0 +1,11 @@
+import { BaseGraphQLClient } from './client-core.js';
+
+export { GRAPHQL_TRANSPORT_WS, GRAPHQL_WS } from './client-core.js';
+export { MemoryCursorStore } from './cursor-store.js';
+export { ReconnectPolicy } from './reconnect-policy.js';
+
+// Browser entry: uses the global WebSocket, heartbeats are sent at protocol level
+// and the 'block' overflow policy disconnects, as the socket cannot be paused
+export class GraphQLClient extends BaseGraphQLClient {}
+
+export default GraphQLClient;
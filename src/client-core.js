@@ -0,0 +1,1463 @@
+import { MemoryCursorStore } from './cursor-store.js';
+import { EventEmitter } from './event-emitter.js';
+import { EventStreamParser } from './event-stream.js';
+import { LatencyHistogram } from './latency-histogram.js';
+import { OutboundQueue } from './outbound-queue.js';
+import { ReconnectPolicy } from './reconnect-policy.js';
+
+// No process in the browser
+const DEBUG =
+  globalThis.process?.env.DEBUG === 'true' ||
+  globalThis.process?.env.DEBUG === '1';
+
+// Connection and retry constants
+const CONNECTION_TIMEOUT = 5_000; // 5 seconds
+const HEARTBEAT_INTERVAL = 30_000; // 30 seconds
+const PONG_TIMEOUT = 10_000; // 10 seconds
+const REQUEST_TIMEOUT = 10_000; // 10 seconds
+
+// Close code of the servers for an invalid token, as opposed to 4401 for a missing
+// or expired one: connecting again with the same credentials cannot succeed
+const FORBIDDEN = 4403;
+
+// Error code of the servers when the messages after a resume cursor were evicted
+const RESUME_GAP = 'RESUME_GAP';
+
+// Messages fetched by request when backfilling
+const BACKFILL_PAGE_SIZE = 100;
+
+// Subscription transports
+const TRANSPORTS = ['websocket', 'sse'];
+
+// What to do when a subscription delivery queue is full
+const OVERFLOW_POLICIES = ['block', 'drop-oldest', 'disconnect'];
+
+// Supported WebSocket subprotocols
+export const GRAPHQL_TRANSPORT_WS = 'graphql-transport-ws';
+export const GRAPHQL_WS = 'graphql-ws';
+
+// Message types that differ between the two protocols
+const PROTOCOL_MESSAGES = {
+  [GRAPHQL_TRANSPORT_WS]: {
+    start: 'subscribe',
+    data: 'next',
+    stop: 'complete',
+  },
+  [GRAPHQL_WS]: { start: 'start', data: 'data', stop: 'stop' },
+};
+
+// Default subscription documents, with and without resume cursor.
+// Without the channel variable, the server uses its default channel
+const ON_MESSAGE_QUERY = `subscription OnMessage(
+  $channel: String
+  $user: String
+  $excludeUser: String
+  $textContains: String
+) {
+  onMessage(
+    channel: $channel
+    user: $user
+    excludeUser: $excludeUser
+    textContains: $textContains
+  ) {
+    id
+    seq
+    channel
+    text
+    user
+    at
+  }
+}`;
+const ON_MESSAGE_RESUME_QUERY = `subscription OnMessageResume(
+  $channel: String
+  $id: String
+  $seq: Int
+  $user: String
+  $excludeUser: String
+  $textContains: String
+) {
+  onMessage(
+    channel: $channel
+    id: $id
+    seq: $seq
+    user: $user
+    excludeUser: $excludeUser
+    textContains: $textContains
+  ) {
+    id
+    seq
+    channel
+    text
+    user
+    at
+  }
+}`;
+
+// Read a dot-separated path, i.e. 'meta.cursor'
+function getPath(value, path) {
+  return path.split('.').reduce((current, key) => current?.[key], value);
+}
+
+// Client on top of the standard WebSocket API, shared by the browser and Node.js entries.
+// Emits the lifecycle events: connected, disconnected, reconnecting,
+// resubscribed, resumed, error and gave-up
+export class BaseGraphQLClient extends EventEmitter {
+  constructor(
+    url = 'ws://localhost:4000/graphql',
+    clientId = null,
+    trackLastMessage = true,
+    options = {},
+  ) {
+    super();
+    this.url = url;
+    this.httpUrl = this.url
+      .replace('ws://', 'http://')
+      .replace('wss://', 'https://');
+    this.clientId = clientId;
+    // WebSocket implementation, the global one by default
+    this.WebSocket = options.WebSocket ?? globalThis.WebSocket;
+    this.ws = null;
+    this.connected = false;
+    // Active subscriptions by id, each with its own handler and resume cursor
+    this.subscriptions = new Map();
+    this.subscriptionCounter = 0;
+    this.heartbeatInterval = null;
+    this.pongTimer = null;
+    this.pingInterval = options.pingInterval ?? HEARTBEAT_INTERVAL;
+    // How long to wait for a pong before considering the connection dead
+    this.pongTimeout = options.pongTimeout ?? PONG_TIMEOUT;
+    this.reconnectAttempts = 0;
+    this.reconnecting = false;
+    this.trackLastMessage = trackLastMessage;
+    this.reconnectPolicy = options.reconnectPolicy ?? new ReconnectPolicy();
+    this.shouldReconnect = true;
+    // Offered subprotocols, in order of preference
+    this.protocols = options.protocols ?? [GRAPHQL_TRANSPORT_WS, GRAPHQL_WS];
+    this.protocol = null;
+    // Where the resume cursors are kept, use a FileCursorStore to survive restarts
+    this.cursorStore = options.cursorStore ?? new MemoryCursorStore();
+    // Resume by message id or by sequence number: 'id' or 'seq'
+    this.resumeBy = options.resumeBy ?? 'id';
+    // Fetch the messages missed while disconnected after resubscribing,
+    // for servers without resume support
+    this.backfillMissed = options.backfill ?? false;
+    // The connection_init payload, or an (async) function returning it, called on
+    // every connection so the tokens can be refreshed. Also sent as HTTP headers
+    // by the HTTP and SSE transports, as mercurius does: the `headers` field, or the
+    // whole payload, i.e. { authorization: 'Bearer <token>' }
+    this.connectionParams = options.connectionParams ?? null;
+    // Console-like logger, i.e. { logger: console }, no output by default
+    this.logger = options.logger ?? null;
+    // Run queries and mutations over 'http' or over the 'websocket' connection,
+    // optionally falling back to HTTP while the socket is not connected
+    this.requestTransport = options.requestTransport ?? 'http';
+    this.httpFallback = options.httpFallback ?? false;
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+    // Run the subscriptions over the 'websocket' connection or over
+    // Server-Sent Events ('sse'), for networks that block WebSocket upgrades
+    this.transport = options.transport ?? 'websocket';
+    this.sseUrl = options.sseUrl ?? `${this.httpUrl}/stream`;
+    if (!TRANSPORTS.includes(this.transport)) {
+      throw new Error(
+        `Invalid transport: ${this.transport}, use one of ${TRANSPORTS.join(', ')}`,
+      );
+    }
+    if (this.transport === 'sse' && this.requestTransport === 'websocket') {
+      throw new Error('The websocket request transport requires a WebSocket');
+    }
+    // Bounded delivery queue for slow handlers: { maxSize, overflow },
+    // the messages of each subscription are handled one at a time, in order
+    this.deliveryQueue = options.deliveryQueue
+      ? {
+          maxSize: 1_000,
+          overflow: 'block',
+          ...options.deliveryQueue,
+        }
+      : null;
+    if (
+      this.deliveryQueue &&
+      !OVERFLOW_POLICIES.includes(this.deliveryQueue.overflow)
+    ) {
+      throw new Error(
+        `Invalid overflow policy: ${this.deliveryQueue.overflow}, use one of ${OVERFLOW_POLICIES.join(', ')}`,
+      );
+    }
+    this.paused = false;
+    this.suspended = false;
+    // Connection statistics, see getStats()
+    this.stats = {
+      reconnects: 0,
+      reconnectAttempts: 0,
+      disconnections: 0,
+      disconnectedTime: 0,
+      disconnectedAt: null,
+    };
+    // Hold the mutations while the server is unreachable and retry them
+    this.outbox = options.offlineQueue
+      ? new OutboundQueue((message) => this.postMessage(message), {
+          ...options.offlineQueue,
+          logger: this.logger,
+        })
+      : null;
+    if (this.outbox) {
+      this.on('connected', () => this.outbox.retryNow());
+    }
+  }
+
+  // Emit errors only when someone listens, an unhandled 'error' event would throw
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  get messageTypes() {
+    return PROTOCOL_MESSAGES[this.protocol] ?? PROTOCOL_MESSAGES[GRAPHQL_WS];
+  }
+
+  async connect() {
+    await this.cursorStore.load();
+
+    if (this.transport === 'sse') {
+      this.connectSse();
+      return;
+    }
+
+    const connectionParams = await this.resolveConnectionParams();
+
+    return new Promise((resolve, reject) => {
+      if (!this.WebSocket) {
+        reject(new Error('No WebSocket implementation available'));
+        return;
+      }
+      this.ws = new this.WebSocket(this.url, this.protocols);
+
+      // WebSocket-level pong, only with implementations that expose it (ws)
+      if (typeof this.ws.on === 'function') {
+        this.ws.on('pong', () => this.receivedPong());
+      }
+
+      this.ws.addEventListener('open', () => {
+        // The server picks one of the offered subprotocols
+        this.protocol = this.ws.protocol || GRAPHQL_WS;
+        this.logger?.log(
+          `🟢 Client connected to GraphQL subscription server at ${this.url} (${this.protocol})`,
+        );
+
+        // Initialize connection
+        const payload = {
+          type: 'connection_init',
+          payload: connectionParams,
+        };
+        this.ws.send(JSON.stringify(payload));
+
+        // Start heartbeat mechanism
+        this.startHeartbeat();
+      });
+
+      this.ws.addEventListener('message', (event) => {
+        const msg = JSON.parse(event.data);
+
+        if (msg.type === 'connection_ack') {
+          if (DEBUG) {
+            console.log('✅ Connection acknowledged');
+          }
+          this.setConnected();
+          resolve();
+        } else if (msg.type === 'ping') {
+          // graphql-transport-ws protocol-level keep alive
+          this.ws.send(JSON.stringify({ type: 'pong' }));
+        } else if (msg.type === 'pong') {
+          this.receivedPong();
+        } else if (
+          msg.type === this.messageTypes.data &&
+          this.pendingRequests.has(msg.id)
+        ) {
+          this.settleRequest(msg.id, msg.payload);
+        } else if (msg.type === this.messageTypes.data) {
+          const subscription = this.subscriptions.get(msg.id);
+          if (subscription) {
+            this.receive(subscription, msg.payload);
+          }
+        } else if (msg.type === 'complete') {
+          // The server ended the subscription
+          const subscription = this.subscriptions.get(msg.id);
+          if (subscription) {
+            this.subscriptions.delete(msg.id);
+            subscription.complete?.();
+          }
+        } else if (msg.type === 'error' || msg.type === 'connection_error') {
+          this.logger?.error('❌ GraphQL error:', msg.payload);
+          // graphql-transport-ws sends a list of GraphQL errors
+          const payload = Array.isArray(msg.payload)
+            ? msg.payload[0]
+            : msg.payload;
+          const error = new Error(payload?.message ?? payload);
+          error.extensions = payload?.extensions;
+          if (this.pendingRequests.has(msg.id)) {
+            this.settleRequest(msg.id, null, error);
+            return;
+          }
+          const subscription = this.subscriptions.get(msg.id);
+          if (subscription && error.extensions?.code === RESUME_GAP) {
+            this.resumeGap(subscription, error);
+            return;
+          }
+          error.subscriptionId = msg.id;
+          this.emitError(error);
+          reject(error);
+        }
+      });
+
+      this.ws.addEventListener('error', (event) => {
+        // The browser does not expose the cause of the error
+        const error =
+          event.error ?? new Error(event.message || 'WebSocket error');
+        this.logger?.error('❌ WebSocket error:', error.message);
+        this.stopHeartbeat();
+        this.emitError(error);
+        if (!this.connected) {
+          reject(error);
+        }
+      });
+
+      this.ws.addEventListener('close', ({ code, reason }) => {
+        this.logger?.log(
+          `🔴 Disconnected from server (code: ${code || 'unknown'}, reason: ${reason || 'unknown'})`,
+        );
+        // Closed before the acknowledgement, i.e. the token was rejected
+        if (!this.connected) {
+          const error = new Error(
+            `Connection closed (code: ${code}${reason ? `, reason: ${reason}` : ''})`,
+          );
+          error.code = code;
+          reject(error);
+        }
+        this.handleDisconnect(code, reason);
+      });
+
+      // Set timeout for connection
+      setTimeout(() => {
+        if (!this.connected) {
+          reject(new Error('Connection timeout'));
+        }
+      }, CONNECTION_TIMEOUT).unref?.();
+    });
+  }
+
+  async resolveConnectionParams() {
+    const params =
+      typeof this.connectionParams === 'function'
+        ? await this.connectionParams()
+        : this.connectionParams;
+    return params ?? {};
+  }
+
+  // The connection params as HTTP headers, for the HTTP and SSE transports
+  async requestHeaders() {
+    const params = await this.resolveConnectionParams();
+    const headers = {};
+    for (const [name, value] of Object.entries(params.headers ?? params)) {
+      if (typeof value === 'string') {
+        headers[name] = value;
+      }
+    }
+    return headers;
+  }
+
+  // With SSE each subscription has its own stream, there is no connection to open
+  connectSse() {
+    this.protocol = 'sse';
+    this.logger?.log(
+      `🟢 Client ready for GraphQL subscriptions over SSE at ${this.sseUrl}`,
+    );
+    this.setConnected();
+  }
+
+  setConnected() {
+    this.connected = true;
+    // Reset reconnect attempts once the server accepted the connection,
+    // a server closing it during the initialization is still a failed attempt
+    this.reconnectAttempts = 0;
+    this.reconnectPolicy.reset();
+    if (this.stats.disconnectedAt) {
+      this.stats.disconnectedTime += Date.now() - this.stats.disconnectedAt;
+      this.stats.disconnectedAt = null;
+    }
+    this.emit('connected', { url: this.url, protocol: this.protocol });
+  }
+
+  handleDisconnect(code, reason) {
+    this.connected = false;
+    this.paused = false;
+    this.stopHeartbeat();
+    // The responses to the pending requests are lost
+    for (const id of [...this.pendingRequests.keys()]) {
+      const error = new Error('Connection closed');
+      error.retriable = true;
+      this.settleRequest(id, null, error);
+    }
+    if (!this.stats.disconnectedAt) {
+      this.stats.disconnections++;
+      this.stats.disconnectedAt = Date.now();
+    }
+    this.emit('disconnected', { code, reason });
+
+    // Only a 4401 can be fixed by the fresh connectionParams() of a reconnection
+    if (code === FORBIDDEN) {
+      const error = new Error(
+        `Connection rejected (code: ${code}${reason ? `, reason: ${reason}` : ''})`,
+      );
+      error.code = code;
+      this.logger?.error('❌ Connection rejected, not reconnecting:', reason);
+      this.emitError(error);
+      this.emit('gave-up', { attempts: this.reconnectAttempts });
+      return;
+    }
+
+    // Attempt reconnection if enabled, failed attempts are retried
+    // by the ongoing reconnection. A slow consumer reconnects once
+    // its delivery queues are drained
+    if (this.shouldReconnect && !this.reconnecting && !this.suspended) {
+      this.logger?.log('🔄 Reconnecting...');
+      this.attemptReconnect();
+    }
+  }
+
+  // The result of a subscription operation, from the socket or from the stream
+  receive(subscription, payload) {
+    if (payload?.errors) {
+      this.logger?.error('❌ GraphQL error:', payload.errors);
+      const error = new Error(payload.errors[0].message);
+      error.subscriptionId = subscription.id;
+      this.emitError(error);
+    }
+    if (!payload?.data) {
+      return;
+    }
+    // The handler gets the value of the subscription root field
+    const [message] = Object.values(payload.data);
+
+    // Hold the live messages until the missed ones are fetched
+    if (subscription.backfilling) {
+      subscription.pending.push(message);
+    } else {
+      this.deliver(subscription, message);
+    }
+  }
+
+  // subscribe(onMessage, id, options) or subscribe(onMessage, options), options:
+  // - channel: the channel of the messages, the server default channel otherwise
+  // - filter: { user, excludeUser, textContains }, only the matching messages,
+  //   filtered by the server, on resume and backfill too
+  // - query, variables, operationName: the subscription document, onMessage by default
+  // - resume: { path, argument }, the message field used as resume cursor and
+  //   the variable that carries it on resubscribe, by default resumeBy for both
+  // - cursor, seq: resume the first start from this cursor or sequence number
+  // - signal: an AbortSignal to stop the subscription
+  subscribe(onMessage, id = null, options = {}) {
+    if (id !== null && typeof id === 'object') {
+      options = id;
+      id = null;
+    }
+    // Without a handler, return an async iterator over the messages:
+    // for await (const message of client.subscribe({ id, seq, signal })) { ... }
+    if (typeof onMessage !== 'function') {
+      return this.iterate(onMessage ?? {});
+    }
+
+    const {
+      signal,
+      seq = null,
+      cursor = null,
+      channel = null,
+      filter = null,
+      query = null,
+      operationName = null,
+      resume = { path: this.resumeBy, argument: this.resumeBy },
+    } = options;
+    const variables = {
+      ...options.variables,
+      ...(channel != null && { channel }),
+      ...filter,
+    };
+
+    if (!this.connected) {
+      throw new Error('Not connected to server');
+    }
+    signal?.throwIfAborted();
+
+    this.subscriptionCounter++;
+    const subscription = {
+      id: `subscription:client-${this.clientId}:${this.subscriptionCounter}`,
+      handler: onMessage,
+      query,
+      variables,
+      operationName,
+      resume,
+      filtered: filter != null,
+      lastCursor: null,
+      lastSeq: seq,
+      freshStream: false,
+      // Id of the last received message, where the backfill starts
+      lastId: null,
+      backfilling: false,
+      pending: [],
+      queue: [],
+      draining: false,
+      received: 0,
+      latency: new LatencyHistogram(),
+      // Age of the replayed and backfilled messages, kept apart from the latency
+      replayAge: new LatencyHistogram(),
+      startedAt: null,
+      // SSE transport: the stream and the id of the last event
+      stream: null,
+      lastEventId: null,
+      complete: null,
+    };
+    this.subscriptions.set(subscription.id, subscription);
+
+    // The first start resumes from the given id, seq or cursor,
+    // or from the persisted cursor, i.e. after a process restart
+    let resumeVariables = null;
+    if (id) {
+      resumeVariables = { id };
+    } else if (seq != null) {
+      resumeVariables = { seq };
+    } else if (cursor != null) {
+      resumeVariables = { [resume.argument]: cursor };
+    } else if (this.trackLastMessage) {
+      const stored = this.cursorStore.get(this.clientId, subscription.id);
+      if (stored != null) {
+        resumeVariables = { [resume.argument]: stored };
+      }
+    }
+    subscription.lastCursor = resumeVariables?.[resume.argument] ?? null;
+
+    this.startSubscription(subscription, resumeVariables);
+
+    if (signal) {
+      const onAbort = () => this.unsubscribe(subscription.id);
+      signal.addEventListener('abort', onAbort, { once: true });
+      subscription.complete = () =>
+        signal.removeEventListener('abort', onAbort);
+    }
+
+    return subscription.id;
+  }
+
+  async *iterate(options = {}) {
+    const { id = null, signal } = options;
+    const buffer = [];
+    let done = false;
+    let wake = null;
+    const notify = () => {
+      wake?.();
+      wake = null;
+    };
+
+    // With a delivery queue, the next message is handled
+    // only when the consumer pulls this one
+    const subscriptionId = this.subscribe(
+      (message) =>
+        new Promise((resolve) => {
+          buffer.push({ message, resolve });
+          notify();
+        }),
+      id,
+      options,
+    );
+    // The subscription survives reconnects, so the iterator ends only when
+    // the subscription is completed, stopped or aborted
+    const subscription = this.subscriptions.get(subscriptionId);
+    const complete = subscription.complete;
+    subscription.complete = () => {
+      complete?.();
+      done = true;
+      notify();
+    };
+    signal?.addEventListener('abort', notify, { once: true });
+
+    try {
+      while (true) {
+        signal?.throwIfAborted();
+        if (buffer.length > 0) {
+          const { message, resolve } = buffer.shift();
+          resolve();
+          yield message;
+        } else if (done) {
+          return;
+        } else {
+          await new Promise((resolve) => {
+            wake = resolve;
+          });
+        }
+      }
+    } finally {
+      // Breaking out of the loop stops the subscription
+      signal?.removeEventListener('abort', notify);
+      for (const { resolve } of buffer) {
+        resolve();
+      }
+      this.unsubscribe(subscriptionId);
+    }
+  }
+
+  deliver(subscription, message) {
+    if (!this.deliveryQueue) {
+      this.handle(subscription, message);
+      return;
+    }
+
+    subscription.queue.push(message);
+    if (subscription.queue.length > this.deliveryQueue.maxSize) {
+      this.handleOverflow(subscription);
+    }
+    this.drainQueue(subscription);
+  }
+
+  handleOverflow(subscription) {
+    const { overflow, maxSize } = this.deliveryQueue;
+
+    if (overflow === 'drop-oldest') {
+      const message = subscription.queue.shift();
+      this.emit('dropped', { subscriptionId: subscription.id, message });
+    } else if (
+      overflow === 'block' &&
+      !this.paused &&
+      typeof this.ws?.pause === 'function'
+    ) {
+      // Stop reading from the socket, the server gets the backpressure
+      this.logger?.log(`⏸️ Delivery queue full (${maxSize}), pausing`);
+      this.paused = true;
+      this.stopHeartbeat();
+      this.ws.pause();
+    } else if (
+      overflow !== 'drop-oldest' &&
+      !this.suspended &&
+      this.connected
+    ) {
+      // Disconnect, handle the queued messages, then reconnect and resume
+      // from the last handled message. Also used to block when the socket
+      // cannot be paused, i.e. in the browser
+      this.logger?.log(`⏸️ Delivery queue full (${maxSize}), disconnecting`);
+      this.suspended = true;
+      if (this.transport === 'sse') {
+        this.closeStreams();
+        this.handleDisconnect(1000, 'Slow consumer');
+      } else {
+        this.ws.close(1000, 'Slow consumer');
+      }
+    }
+  }
+
+  async drainQueue(subscription) {
+    if (subscription.draining) {
+      return;
+    }
+    subscription.draining = true;
+
+    try {
+      while (
+        subscription.queue.length > 0 &&
+        this.subscriptions.has(subscription.id)
+      ) {
+        const message = subscription.queue.shift();
+        try {
+          await this.handle(subscription, message);
+        } catch (error) {
+          this.logger?.error('❌ Error handling message:', error.message);
+          this.emitError(error);
+        }
+        this.releaseBackpressure();
+      }
+    } finally {
+      subscription.draining = false;
+    }
+  }
+
+  // Resume reading once all the queues are drained to half their size
+  releaseBackpressure() {
+    const lowWatermark = this.deliveryQueue.maxSize / 2;
+    let queued = 0;
+    for (const subscription of this.subscriptions.values()) {
+      queued = Math.max(queued, subscription.queue.length);
+    }
+
+    if (this.paused && queued <= lowWatermark) {
+      this.paused = false;
+      this.ws?.resume();
+      this.startHeartbeat();
+      this.logger?.log('▶️ Delivery queue drained, resuming');
+    } else if (this.suspended && queued === 0) {
+      this.suspended = false;
+      if (this.shouldReconnect && !this.reconnecting) {
+        this.attemptReconnect();
+      }
+    }
+  }
+
+  handle(subscription, message) {
+    if (message.seq != null) {
+      if (subscription.lastSeq != null && message.seq <= subscription.lastSeq) {
+        if (!subscription.freshStream) {
+          // A duplicate, i.e. a message both replayed and backfilled
+          this.emit('duplicate', { subscriptionId: subscription.id, message });
+          return;
+        }
+        // Subscribed again without a resume cursor, the server only sends new messages:
+        // its sequence restarted, i.e. the server restarted without its history
+        this.emit('sequence-reset', {
+          subscriptionId: subscription.id,
+          lastSeq: subscription.lastSeq,
+          seq: message.seq,
+        });
+        subscription.lastSeq = null;
+      }
+      subscription.freshStream = false;
+
+      // Detect missed messages from the sequence numbers,
+      // the messages skipped by a filter are not missed
+      if (
+        !subscription.filtered &&
+        subscription.lastSeq != null &&
+        message.seq > subscription.lastSeq + 1
+      ) {
+        this.emit('gap', {
+          subscriptionId: subscription.id,
+          from: subscription.lastSeq + 1,
+          to: message.seq - 1,
+        });
+      }
+      subscription.lastSeq = message.seq;
+    }
+    if (message.id != null) {
+      subscription.lastId = message.id;
+    }
+
+    // End-to-end latency, from the message creation on the server. The messages
+    // created before the subscription (re)started are replayed or backfilled,
+    // their age would be the time spent disconnected
+    subscription.received++;
+    if (message.at) {
+      const createdAt = Date.parse(message.at);
+      const histogram =
+        createdAt < subscription.startedAt
+          ? subscription.replayAge
+          : subscription.latency;
+      histogram.record(Date.now() - createdAt);
+    }
+
+    // Track the last received cursor for resume functionality
+    const cursor = getPath(message, subscription.resume.path);
+    if (cursor != null) {
+      subscription.lastCursor = cursor;
+      if (this.trackLastMessage) {
+        this.cursorStore.set(this.clientId, subscription.id, cursor);
+      }
+    }
+
+    // Call the subscription message handler
+    return subscription.handler(message);
+  }
+
+  // Fetch the messages missed while disconnected from Query.messages, page by page
+  // from the last received message, and deliver them before the live messages
+  // received in the meantime
+  async backfill(subscription) {
+    let lastSeq = subscription.lastSeq;
+    subscription.backfilling = true;
+
+    try {
+      const query = `
+        query Messages(
+          $channel: String
+          $first: Int
+          $after: String
+          $user: String
+          $excludeUser: String
+          $textContains: String
+        ) {
+          messages(
+            channel: $channel
+            first: $first
+            after: $after
+            user: $user
+            excludeUser: $excludeUser
+            textContains: $textContains
+          ) {
+            nodes {
+              id
+              seq
+              channel
+              text
+              user
+              at
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `;
+      const { channel, user, excludeUser, textContains } =
+        subscription.variables;
+      let after = subscription.lastId;
+      let hasNextPage = true;
+      let count = 0;
+      // Stop when the subscription is stopped in the meantime
+      while (hasNextPage && this.subscriptions.has(subscription.id)) {
+        let data;
+        try {
+          data = await this.request(query, {
+            channel,
+            first: BACKFILL_PAGE_SIZE,
+            after,
+            user,
+            excludeUser,
+            textContains,
+          });
+        } catch (error) {
+          // The last received message is no longer in the history,
+          // fetch what is left of it
+          if (after != null && error.extensions?.code === RESUME_GAP) {
+            after = null;
+            // Not evicted but unknown to a history starting before it:
+            // the server restarted its sequence, every message is new
+            if (lastSeq != null && error.extensions.oldestSeq <= lastSeq) {
+              lastSeq = null;
+            }
+            continue;
+          }
+          throw error;
+        }
+
+        const { nodes, pageInfo } = data.messages;
+        for (const message of nodes) {
+          if (lastSeq == null || message.seq > lastSeq) {
+            this.deliver(subscription, message);
+            count++;
+          }
+        }
+        hasNextPage = pageInfo.hasNextPage;
+        after = pageInfo.endCursor ?? after;
+      }
+      if (count > 0) {
+        this.emit('backfilled', { subscriptionId: subscription.id, count });
+      }
+    } catch (error) {
+      this.logger?.error('❌ Error fetching missed messages:', error.message);
+      this.emitError(error);
+    } finally {
+      subscription.backfilling = false;
+      const pending = subscription.pending;
+      subscription.pending = [];
+      // The subscription may have been stopped in the meantime
+      if (this.subscriptions.has(subscription.id)) {
+        for (const message of pending) {
+          this.deliver(subscription, message);
+        }
+      }
+    }
+  }
+
+  // The server no longer has the messages after the resume cursor:
+  // tell the application to refetch, and start over from the live messages
+  resumeGap(subscription, error) {
+    this.logger?.error(
+      `❌ Cannot resume ${subscription.id} from ${subscription.lastCursor}: ${error.message}`,
+    );
+    this.emit('resume-gap', {
+      subscriptionId: subscription.id,
+      cursor: subscription.lastCursor,
+      oldestSeq: error.extensions.oldestSeq,
+    });
+
+    subscription.lastCursor = null;
+    subscription.lastEventId = null;
+    this.cursorStore.delete(this.clientId, subscription.id);
+    this.startSubscription(subscription, null);
+    // Fetch what is left of the missed messages, all of the history
+    // from oldestSeq when no message was received in this run
+    if (this.backfillMissed && !subscription.query) {
+      this.backfill(subscription);
+    }
+  }
+
+  // The variables to resume the subscription from the last received cursor
+  resumeCursor(subscription) {
+    if (!this.trackLastMessage || subscription.lastCursor == null) {
+      return null;
+    }
+    return { [subscription.resume.argument]: subscription.lastCursor };
+  }
+
+  startSubscription(subscription, resumeVariables = null) {
+    // Use the default document with optional resume cursor,
+    // or the given one with the cursor added to its variables
+    const query =
+      subscription.query ??
+      (resumeVariables ? ON_MESSAGE_RESUME_QUERY : ON_MESSAGE_QUERY);
+    const variables = { ...subscription.variables, ...resumeVariables };
+    // Without a resume cursor, the first message tells whether the sequence restarted
+    subscription.freshStream = resumeVariables == null;
+    subscription.startedAt = Date.now();
+
+    const payload = {
+      query,
+      ...(Object.keys(variables).length > 0 && { variables }),
+      ...(subscription.operationName && {
+        operationName: subscription.operationName,
+      }),
+    };
+
+    // Send subscription
+    if (this.transport === 'sse') {
+      this.openStream(subscription, payload);
+    } else {
+      this.ws.send(
+        JSON.stringify({
+          id: subscription.id,
+          type: this.messageTypes.start,
+          payload,
+        }),
+      );
+    }
+
+    let resumeMessage = '';
+    if (resumeVariables) {
+      const [[resumeArgument, resumeId]] = Object.entries(resumeVariables);
+      this.emit('resumed', {
+        subscriptionId: subscription.id,
+        resumeId,
+        resumeArgument,
+      });
+      resumeMessage = ` (resuming from ${resumeArgument} ${resumeId})`;
+    }
+    this.logger?.log(`🔔 Subscribed to messages${resumeMessage}`);
+  }
+
+  // GraphQL over SSE, distinct connections mode: one HTTP stream by subscription.
+  // Last-Event-ID carries the id of the last received message, so the server resumes from it
+  async openStream(subscription, payload) {
+    const controller = new AbortController();
+    subscription.stream = controller;
+
+    // Without data nor keep-alive comments, the server is unresponsive
+    let idleTimer = null;
+    const idleTimeout = this.pingInterval + this.pongTimeout;
+    const watch = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        controller.abort(new Error(`No data received in ${idleTimeout}ms`));
+      }, idleTimeout);
+    };
+
+    try {
+      watch();
+      const headers = await this.requestHeaders();
+      const response = await fetch(this.sseUrl, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...(this.trackLastMessage &&
+            subscription.lastEventId && {
+              'Last-Event-ID': subscription.lastEventId,
+            }),
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+
+      if (
+        response.status >= 400 &&
+        response.status < 500 &&
+        response.status !== 401
+      ) {
+        // An invalid subscription, retrying does not help.
+        // Unauthorized streams are retried with new connection params
+        const result = await response.json().catch(() => null);
+        const error = new Error(
+          result?.errors?.[0]?.message ??
+            `Request error: ${response.status} ${response.statusText}`,
+        );
+        error.extensions = result?.errors?.[0]?.extensions;
+        if (error.extensions?.code === RESUME_GAP) {
+          this.resumeGap(subscription, error);
+          return;
+        }
+        error.subscriptionId = subscription.id;
+        this.logger?.error('❌ GraphQL error:', error.message);
+        this.emitError(error);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(
+          `Server error: ${response.status} ${response.statusText}`,
+        );
+      }
+      this.reconnectAttempts = 0;
+      this.reconnectPolicy.reset();
+
+      const parser = new EventStreamParser();
+      const reader = response.body
+        .pipeThrough(new TextDecoderStream())
+        .getReader();
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          break;
+        }
+        watch();
+        for (const event of parser.push(value)) {
+          if (event.event === 'next') {
+            if (event.id) {
+              subscription.lastEventId = event.id;
+            }
+            this.receive(subscription, JSON.parse(event.data));
+          } else if (event.event === 'complete') {
+            // The server ended the subscription
+            subscription.stream = null;
+            this.subscriptions.delete(subscription.id);
+            subscription.complete?.();
+            return;
+          }
+        }
+      }
+    } catch (error) {
+      // Stopped by unsubscribe() or disconnect()
+      if (subscription.stream !== controller) {
+        return;
+      }
+      this.logger?.error('❌ SSE stream error:', error.message);
+    } finally {
+      clearTimeout(idleTimer);
+    }
+
+    // The stream dropped: as when the WebSocket is lost,
+    // reconnect and resume all the subscriptions
+    if (
+      subscription.stream === controller &&
+      this.subscriptions.has(subscription.id)
+    ) {
+      this.logger?.log('🔴 Disconnected from server (SSE stream closed)');
+      this.closeStreams();
+      this.handleDisconnect(null, 'Stream closed');
+    }
+  }
+
+  closeStreams() {
+    for (const subscription of this.subscriptions.values()) {
+      const stream = subscription.stream;
+      subscription.stream = null;
+      stream?.abort();
+    }
+  }
+
+  // Send to the channel, or to the server default channel
+  async sendMessage(user, text, channel = null) {
+    // The same key is sent on every retry, so the server can detect duplicates
+    const message = {
+      channel,
+      user,
+      text,
+      clientMessageId: crypto.randomUUID(),
+    };
+
+    if (this.outbox) {
+      return this.outbox.push(message);
+    }
+
+    try {
+      return await this.postMessage(message);
+    } catch (error) {
+      this.logger?.error('❌ Error sending message:', error.message);
+      throw error;
+    }
+  }
+
+  async postMessage({ channel = null, user, text, clientMessageId }) {
+    const mutation = `
+      mutation SendMessage(
+        $channel: String
+        $text: String!
+        $user: String!
+        $clientMessageId: String
+      ) {
+        sendMessage(
+          channel: $channel
+          text: $text
+          user: $user
+          clientMessageId: $clientMessageId
+        ) {
+          id
+          seq
+          channel
+          text
+          user
+          at
+        }
+      }
+    `;
+
+    const data = await this.request(mutation, {
+      channel: channel ?? undefined,
+      text,
+      user,
+      clientMessageId,
+    });
+
+    if (DEBUG) {
+      console.log('✅ Message sent:', data.sendMessage);
+    }
+
+    return data.sendMessage;
+  }
+
+  // Run a query or a mutation and resolve with its data.
+  // Errors worth retrying are flagged with `retriable`
+  async request(query, variables = {}, { operationName } = {}) {
+    if (this.requestTransport === 'websocket') {
+      if (this.connected) {
+        return this.wsRequest(query, variables, operationName);
+      }
+      if (!this.httpFallback) {
+        const error = new Error('Not connected to server');
+        error.retriable = true;
+        throw error;
+      }
+    }
+    return this.httpRequest(query, variables, operationName);
+  }
+
+  // Same framing as the subscriptions: the server sends the result, then completes
+  wsRequest(query, variables, operationName) {
+    this.requestCounter++;
+    const id = `request:client-${this.clientId}:${this.requestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        const error = new Error('Request timeout');
+        error.retriable = true;
+        this.settleRequest(id, null, error);
+      }, REQUEST_TIMEOUT);
+      this.pendingRequests.set(id, { resolve, reject, timeout });
+
+      this.ws.send(
+        JSON.stringify({
+          id,
+          type: this.messageTypes.start,
+          payload: {
+            query,
+            variables,
+            ...(operationName && { operationName }),
+          },
+        }),
+      );
+    });
+  }
+
+  settleRequest(id, payload, error = null) {
+    const request = this.pendingRequests.get(id);
+    if (!request) {
+      return;
+    }
+    this.pendingRequests.delete(id);
+    clearTimeout(request.timeout);
+
+    if (error) {
+      request.reject(error);
+    } else if (payload?.errors) {
+      const error = new Error(payload.errors[0].message);
+      error.extensions = payload.errors[0].extensions;
+      request.reject(error);
+    } else {
+      request.resolve(payload.data);
+    }
+  }
+
+  async httpRequest(query, variables, operationName) {
+    let response;
+    try {
+      const headers = await this.requestHeaders();
+      response = await fetch(this.httpUrl, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          query,
+          variables,
+          ...(operationName && { operationName }),
+        }),
+      });
+    } catch (error) {
+      // Network failure, the server is unreachable
+      error.retriable = true;
+      throw error;
+    }
+
+    if (response.status >= 500) {
+      const error = new Error(
+        `Server error: ${response.status} ${response.statusText}`,
+      );
+      error.retriable = true;
+      throw error;
+    }
+
+    const result = await response.json();
+
+    // Rejected token, a retry may get a new one from the connection params
+    if (response.status === 401 || response.status === 403) {
+      const error = new Error(result.message ?? response.statusText);
+      error.retriable = response.status === 401;
+      throw error;
+    }
+
+    if (result.errors) {
+      const error = new Error(result.errors[0].message);
+      error.extensions = result.errors[0].extensions;
+      throw error;
+    }
+
+    return result.data;
+  }
+
+  // Latency percentiles by subscription, reconnections and time spent disconnected (ms)
+  getStats() {
+    const { disconnectedAt, ...stats } = this.stats;
+    const subscriptions = {};
+    for (const subscription of this.subscriptions.values()) {
+      subscriptions[subscription.id] = {
+        received: subscription.received,
+        latency: subscription.latency.toJSON(),
+        replayAge: subscription.replayAge.toJSON(),
+      };
+    }
+
+    return {
+      connected: this.connected,
+      ...stats,
+      // Include the ongoing disconnection
+      disconnectedTime:
+        stats.disconnectedTime +
+        (disconnectedAt ? Date.now() - disconnectedAt : 0),
+      subscriptions,
+    };
+  }
+
+  startHeartbeat() {
+    // Clear any existing heartbeat
+    this.stopHeartbeat();
+
+    this.heartbeatInterval = setInterval(() => {
+      if (this.ws && this.ws.readyState === this.ws.OPEN) {
+        this.sendPing();
+        this.waitForPong();
+      }
+    }, this.pingInterval);
+  }
+
+  sendPing() {
+    // Prefer WebSocket-level ping, not available with the standard WebSocket API
+    if (typeof this.ws.ping === 'function') {
+      if (DEBUG) {
+        console.log('💗 Sending WebSocket ping to server');
+      }
+      this.ws.ping();
+      return;
+    }
+
+    if (DEBUG) {
+      console.log(`💗 Sending ${this.protocol} ping to server`);
+    }
+    if (this.protocol === GRAPHQL_TRANSPORT_WS) {
+      this.ws.send(JSON.stringify({ type: 'ping' }));
+      return;
+    }
+    // graphql-ws has no client ping: any answer to a request, even an error,
+    // proves the connection is alive. Timeouts and closed connections are retriable
+    this.wsRequest('{ __typename }', {}).then(
+      () => this.receivedPong(),
+      (error) => {
+        if (!error.retriable) {
+          this.receivedPong();
+        }
+      },
+    );
+  }
+
+  receivedPong() {
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+  }
+
+  waitForPong() {
+    if (this.pongTimer) {
+      return;
+    }
+    const ws = this.ws;
+    this.pongTimer = setTimeout(() => {
+      this.pongTimer = null;
+      this.logger?.error(
+        `❌ No pong received in ${this.pongTimeout}ms, terminating connection`,
+      );
+      // The server is unresponsive: terminate the socket, the close event triggers the reconnection.
+      // The standard API only closes it, the close event comes after the closing handshake times out
+      if (typeof ws.terminate === 'function') {
+        ws.terminate();
+      } else {
+        ws.close();
+      }
+    }, this.pongTimeout);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+  }
+
+  async attemptReconnect() {
+    this.ws = null;
+    this.reconnecting = true;
+
+    try {
+      while (this.shouldReconnect) {
+        const delay = this.reconnectPolicy.nextDelay();
+        if (delay === null) {
+          this.logger?.error(
+            '❌ Max reconnection attempts reached. Please reconnect manually.',
+          );
+          this.emit('gave-up', { attempts: this.reconnectAttempts });
+          return;
+        }
+
+        this.reconnectAttempts++;
+        this.stats.reconnectAttempts++;
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+        if (DEBUG) {
+          console.log(
+            `🔄 Attempting to reconnect (${this.reconnectAttempts}) in ${delay}ms...`,
+          );
+        }
+
+        // Global timer, so the delays can be controlled with fake timers
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        if (!this.shouldReconnect) {
+          return;
+        }
+
+        try {
+          await this.connect();
+          this.stats.reconnects++;
+
+          // Re-subscribe to existing subscriptions with resume logic
+          for (const subscription of this.subscriptions.values()) {
+            const resumeVariables = this.resumeCursor(subscription);
+            this.startSubscription(subscription, resumeVariables);
+            this.emit('resubscribed', {
+              subscriptionId: subscription.id,
+              resumeId: resumeVariables ? subscription.lastCursor : null,
+              resumeArgument: subscription.resume.argument,
+            });
+            // Query.messages only backfills the default onMessage document
+            if (
+              this.backfillMissed &&
+              !subscription.query &&
+              subscription.lastSeq != null
+            ) {
+              this.backfill(subscription);
+            }
+          }
+          return;
+        } catch (error) {
+          this.logger?.error(
+            `❌ Reconnection attempt ${this.reconnectAttempts} failed:`,
+            error.message,
+          );
+          // Rejected credentials, the disconnection gave up
+          if (error.code === FORBIDDEN) {
+            return;
+          }
+        }
+      }
+    } finally {
+      this.reconnecting = false;
+    }
+  }
+
+  unsubscribe(subscriptionId) {
+    // Without an id, stop all the subscriptions
+    if (!subscriptionId) {
+      for (const id of [...this.subscriptions.keys()]) {
+        this.unsubscribe(id);
+      }
+      return;
+    }
+
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      return;
+    }
+    this.subscriptions.delete(subscriptionId);
+    this.cursorStore.delete(this.clientId, subscriptionId);
+    const stream = subscription.stream;
+    subscription.stream = null;
+    stream?.abort();
+    subscription.queue = [];
+    subscription.complete?.();
+    if (this.deliveryQueue) {
+      this.releaseBackpressure();
+    }
+
+    if (this.ws && this.connected) {
+      this.ws.send(
+        JSON.stringify({
+          id: subscriptionId,
+          type: this.messageTypes.stop,
+        }),
+      );
+    }
+    if (DEBUG) {
+      console.log(`🔕 Unsubscribed: ${subscriptionId}`);
+    }
+  }
+
+  disconnect() {
+    this.shouldReconnect = false; // Disable auto-reconnection
+    this.stopHeartbeat();
+    this.outbox?.clear(new Error('Client disconnected'));
+
+    // Keep the cursors, so the subscriptions resume on the next run
+    const flushing = this.cursorStore.flush();
+
+    if (this.ws || this.connected) {
+      this.ws?.close();
+      if (this.transport === 'sse') {
+        this.closeStreams();
+        this.handleDisconnect(1000, 'Client disconnected');
+      }
+      this.connected = false;
+      for (const subscription of this.subscriptions.values()) {
+        subscription.complete?.();
+      }
+      this.subscriptions.clear();
+      if (DEBUG) {
+        console.log('👋 Disconnected from GraphQL server');
+      }
+      this.ws = null;
+    }
+
+    return flushing;
+  }
+}
@@ -0,0 +1,25 @@
+// Keeps the resume cursors (last received message id) by client id and subscription id
+export class MemoryCursorStore {
+  constructor() {
+    this.cursors = {};
+  }
+
+  async load() {}
+
+  get(clientId, subscriptionId) {
+    return this.cursors[clientId]?.[subscriptionId] ?? null;
+  }
+
+  set(clientId, subscriptionId, messageId) {
+    this.cursors[clientId] ??= {};
+    this.cursors[clientId][subscriptionId] = messageId;
+  }
+
+  delete(clientId, subscriptionId) {
+    if (this.cursors[clientId]) {
+      delete this.cursors[clientId][subscriptionId];
+    }
+  }
+
+  async flush() {}
+}
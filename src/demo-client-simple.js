@@ -1,11 +1,39 @@
+import { signToken } from './auth.js';
 import { GraphQLClient } from './client.js';
+import { FileCursorStore } from './file-cursor-store.js';
 
 const _DEBUG = process.env.DEBUG === 'true' || process.env.DEBUG === '1';
 
+// Persist the resume cursors, so a restarted client resumes where it stopped
+const CURSOR_FILE = process.env.CURSOR_FILE;
+
+// Subscribe over 'websocket' or 'sse'
+const TRANSPORT = process.env.TRANSPORT || 'websocket';
+
+// Same secret as the server: the demo signs its own short-lived tokens,
+// a new one on every connection
+const AUTH_SECRET = process.env.AUTH_SECRET;
+const TOKEN_TTL = 60; // seconds
+
+let activeClient = null;
+
 async function createClient(clientId, trackLastMessage) {
   const port = process.env.PORT || '4000';
   const url = `ws://localhost:${port}/graphql`;
-  const client = new GraphQLClient(url, clientId, trackLastMessage);
+  const cursorStore = CURSOR_FILE
+    ? new FileCursorStore(CURSOR_FILE, { logger: console })
+    : undefined;
+  const client = new GraphQLClient(url, clientId, trackLastMessage, {
+    cursorStore,
+    transport: TRANSPORT,
+    connectionParams: AUTH_SECRET
+      ? async () => ({
+          authorization: `Bearer ${signToken({ sub: `client-${clientId}` }, AUTH_SECRET, { expiresIn: TOKEN_TTL })}`,
+        })
+      : null,
+    logger: console,
+  });
+  activeClient = client;
 
   try {
     await client.connect();
@@ -43,17 +71,22 @@ async function sendMessage(client, clientId, text) {
 
 async function runClient() {
   const port = process.env.PORT || '4000';
-  
+
   console.log('🚀 Starting Simple GraphQL Client Demo');
   console.log('=====================================');
   console.log(`Make sure the server is running on port ${port}`);
-  console.log(`Server: node src/server-simple.js or src/server-unstable.js (default port 4000)`);
+  console.log(
+    `Server: node src/server-simple.js or src/server-unstable.js (default port 4000)`,
+  );
   console.log(`Client connecting to: ws://localhost:${port}/graphql`);
   console.log('=====================================\n');
 
-  const clientId = process.pid;
+  // A stable client id is needed to find the persisted cursors after a restart
+  const clientId = process.env.CLIENT_ID || process.pid;
 
-  const trackLastMessage = process.env.TRACK_LAST_MESSAGE === 'true' || process.env.TRACK_LAST_MESSAGE === '1';
+  const trackLastMessage =
+    process.env.TRACK_LAST_MESSAGE === 'true' ||
+    process.env.TRACK_LAST_MESSAGE === '1';
 
   // Create a single client
   console.log('1️⃣ Creating client...');
@@ -82,7 +115,7 @@ async function runClient() {
 
     if (input === 'quit' || input === 'exit') {
       console.log('\n3️⃣ Disconnecting client...');
-      client.disconnect();
+      await client.disconnect();
       console.log('✅ Client disconnected. Goodbye!');
       process.exit(0);
     } else if (input) {
@@ -94,13 +127,15 @@ async function runClient() {
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n\n🛑 Received SIGINT, shutting down gracefully...');
+  await activeClient?.disconnect();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('\n\n🛑 Received SIGTERM, shutting down gracefully...');
+  await activeClient?.disconnect();
   process.exit(0);
 });
 
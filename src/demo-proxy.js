@@ -13,7 +13,9 @@ const PROXY_PORT = process.env.PROXY_PORT || 3001;
 
 async function createClient(clientId) {
   const endpoint = `ws://localhost:${PROXY_PORT}/graphql`;
-  const client = new GraphQLClient(endpoint);
+  const client = new GraphQLClient(endpoint, clientId, true, {
+    logger: console,
+  });
 
   try {
     await client.connect();
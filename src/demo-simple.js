@@ -7,7 +7,14 @@ const INTERVAL = process.env.INTERVAL || 2_000; // 2 seconds between messages
 const DURATION = process.env.DURATION || 10_000; // Run for 10 seconds
 
 async function createClient(clientId) {
-  const client = new GraphQLClient();
+  const client = new GraphQLClient(
+    'ws://localhost:4000/graphql',
+    clientId,
+    true,
+    {
+      logger: console,
+    },
+  );
 
   try {
     await client.connect();
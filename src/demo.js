@@ -77,12 +77,17 @@ class ClientTracker {
     this.lastReceivedMessageId = null;
     this.client = null;
     this.isConnected = false;
+    this.stats = null;
   }
 
   async connect() {
     const endpoint = `ws://localhost:${PROXY_PORT}/graphql`;
 
-    this.client = new GraphQLClient(endpoint, this.clientId);
+    // Queue the messages while the server is unreachable instead of dropping them
+    this.client = new GraphQLClient(endpoint, this.clientId, true, {
+      logger: console,
+      offlineQueue: true,
+    });
 
     try {
       await this.client.connect();
@@ -125,6 +130,8 @@ class ClientTracker {
   async disconnect() {
     if (this.client && this.subscriptionId) {
       try {
+        // Keep the stats for the report, they are gone with the subscription
+        this.stats = this.client.getStats();
         this.client.unsubscribe(this.subscriptionId);
         this.client.disconnect();
         this.isConnected = false;
@@ -138,8 +145,8 @@ class ClientTracker {
   }
 
   async sendMessage(text, index) {
-    if (!this.client || !this.isConnected) {
-      console.warn(`⚠️ Client ${this.clientId} not connected, skipping message`);
+    if (!this.client) {
+      console.warn(`⚠️ Client ${this.clientId} not created, skipping message`);
       return null;
     }
 
@@ -268,6 +275,18 @@ function printDetailedStats(clients) {
     console.log(
       `   📊 Delivery Rate: ${deliveryRate}% ${deliveryRate === '100.00' ? '✅' : '❌'}`,
     );
+    if (client.stats) {
+      const latency =
+        client.stats.subscriptions[client.subscriptionId]?.latency;
+      if (latency) {
+        console.log(
+          `   ⏱️  Latency: p50 ${latency.p50}ms, p90 ${latency.p90}ms, p99 ${latency.p99}ms, max ${latency.max}ms`,
+        );
+      }
+      console.log(
+        `   🔄 Reconnects: ${client.stats.reconnects}, disconnected for ${(client.stats.disconnectedTime / 1000).toFixed(1)}s`,
+      );
+    }
 
     overallMisses += missingIndices.length;
   });
@@ -294,6 +313,20 @@ function printDetailedStats(clients) {
   );
   console.log(`⚡ Messages/Second: ${messagesPerSecond}`);
 
+  const latencies = clients
+    .map((c) => c.stats?.subscriptions[c.subscriptionId]?.latency)
+    .filter(Boolean);
+  if (latencies.length > 0) {
+    console.log(
+      `⏱️  Worst p99 Latency: ${Math.max(...latencies.map((l) => l.p99))}ms, max ${Math.max(...latencies.map((l) => l.max))}ms`,
+    );
+  }
+  const reconnects = clients.reduce(
+    (sum, c) => sum + (c.stats?.reconnects ?? 0),
+    0,
+  );
+  console.log(`🔄 Reconnects: ${reconnects}`);
+
   console.log('\n📊 ======================================\n');
 }
 
@@ -0,0 +1,69 @@
+// Minimal EventEmitter with the subset of the node:events API used by the client,
+// so the client runs in the browser too
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(listener);
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      const index = listeners.findIndex(
+        (current) => current === listener || current.listener === listener,
+      );
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.listeners.clear();
+    } else {
+      this.listeners.delete(event);
+    }
+    return this;
+  }
+
+  emit(event, ...args) {
+    const listeners = this.listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      // Same as node:events, an unhandled error is thrown
+      if (event === 'error') {
+        throw args[0];
+      }
+      return false;
+    }
+    for (const listener of [...listeners]) {
+      listener.apply(this, args);
+    }
+    return true;
+  }
+
+  listenerCount(event) {
+    return this.listeners.get(event)?.length ?? 0;
+  }
+}
+
+// Aliases, i.e. for events.once() from node:events
+EventEmitter.prototype.addListener = EventEmitter.prototype.on;
+EventEmitter.prototype.removeListener = EventEmitter.prototype.off;
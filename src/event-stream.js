@@ -0,0 +1,49 @@
+// Incremental parser for the text/event-stream format: push() the decoded chunks,
+// get back the complete events as { event, data, id }. Comments are skipped
+export class EventStreamParser {
+  constructor() {
+    this.buffer = '';
+    this.reset();
+  }
+
+  reset() {
+    this.event = { event: 'message', data: [], id: null };
+  }
+
+  push(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r\n|\r|\n/);
+    // The last line may be incomplete
+    this.buffer = lines.pop();
+
+    const events = [];
+    for (const line of lines) {
+      if (line === '') {
+        // A blank line dispatches the event
+        if (this.event.data.length > 0) {
+          events.push({ ...this.event, data: this.event.data.join('\n') });
+        }
+        this.reset();
+        continue;
+      }
+      if (line.startsWith(':')) {
+        continue;
+      }
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+      if (field === 'event') {
+        this.event.event = value;
+      } else if (field === 'data') {
+        this.event.data.push(value);
+      } else if (field === 'id') {
+        this.event.id = value;
+      }
+    }
+    return events;
+  }
+}
@@ -0,0 +1,87 @@
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { MemoryCursorStore } from './cursor-store.js';
+
+// Delay used to batch cursor updates into a single file write
+const FLUSH_DELAY = 100;
+
+// Persists the cursors to a JSON file, so a restarted process can resume.
+// The failed background writes go to the console-like logger, none by default,
+// a flush() call rejects with its own error
+export class FileCursorStore extends MemoryCursorStore {
+  constructor(path, { logger = null } = {}) {
+    super();
+    this.path = path;
+    this.logger = logger;
+    this.loaded = false;
+    this.flushTimeout = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+
+    let content;
+    try {
+      content = await readFile(this.path, 'utf8');
+    } catch (error) {
+      // No cursors saved yet
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.loaded = true;
+      return;
+    }
+    try {
+      this.cursors = JSON.parse(content);
+    } catch (error) {
+      // Fail on every load rather than start over without the cursors,
+      // the next write would replace the file
+      throw new Error(`Corrupt cursor file ${this.path}: ${error.message}`, {
+        cause: error,
+      });
+    }
+    this.loaded = true;
+  }
+
+  set(clientId, subscriptionId, messageId) {
+    super.set(clientId, subscriptionId, messageId);
+    this.scheduleFlush();
+  }
+
+  delete(clientId, subscriptionId) {
+    super.delete(clientId, subscriptionId);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimeout) {
+      return;
+    }
+    this.flushTimeout = setTimeout(() => {
+      this.flush().catch((error) => {
+        this.logger?.error('❌ Error saving cursors:', error.message);
+      });
+    }, FLUSH_DELAY);
+    this.flushTimeout.unref();
+  }
+
+  async flush() {
+    clearTimeout(this.flushTimeout);
+    this.flushTimeout = null;
+
+    // Serialize the writes, and write to a temporary file first
+    // so a crash never leaves a truncated file behind
+    const content = JSON.stringify(this.cursors);
+    // A failed write is reported by the flush that started it
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        const tmp = `${this.path}.tmp`;
+        await writeFile(tmp, content);
+        await rename(tmp, this.path);
+      });
+    return this.writing;
+  }
+}
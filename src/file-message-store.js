@@ -0,0 +1,149 @@
+import { open, readFile, rename, writeFile } from 'node:fs/promises';
+import { DEFAULT_CHANNEL } from './channels.js';
+import { MemoryMessageStore } from './message-store.js';
+
+// Rewrite the log without the evicted messages once they are the majority
+const MIN_COMPACTION = 1_000;
+
+// Persists the history to an append-only log, one JSON message per line,
+// so the history and the resume survive a restart
+export class FileMessageStore extends MemoryMessageStore {
+  constructor(path, options) {
+    super(options);
+    this.path = path;
+    this.file = null;
+    this.writing = Promise.resolve();
+    // Evicted messages still in the log
+    this.stale = 0;
+    // Messages added but not written to the log yet
+    this.pending = new Set();
+  }
+
+  async load() {
+    if (this.file) {
+      return;
+    }
+
+    let content = '';
+    try {
+      content = await readFile(this.path, 'utf8');
+    } catch (error) {
+      // No history yet
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+      try {
+        const message = JSON.parse(line);
+        message.channel ??= DEFAULT_CHANNEL;
+        const history = this.history(message.channel);
+        if (message.seq <= history.lastSeq) {
+          continue;
+        }
+        // The positions in the history come from the sequence numbers,
+        // the messages before a hole cannot be resumed from
+        if (
+          history.messages.length > 0 &&
+          message.seq !== history.lastSeq + 1
+        ) {
+          console.error(
+            `❌ Messages missing from the log, dropping the history of ${message.channel} before seq ${message.seq}`,
+          );
+          history.clear();
+        }
+        history.insert(message);
+      } catch {
+        // A crash during a write leaves a truncated last line
+        console.error('❌ Skipping a corrupted line of the message log');
+      }
+    }
+
+    this.file = await open(this.path, 'a');
+    // Terminate the truncated line, so the next message starts on its own line
+    if (content && !content.endsWith('\n')) {
+      await this.file.write('\n');
+    }
+    for (const channel of this.channels.keys()) {
+      this.evict(channel);
+    }
+  }
+
+  async append(message) {
+    const stored = this.add(message);
+    // Serialize the writes, so the log keeps the sequence order.
+    // A failed write is reported by the append that started it
+    const line = `${JSON.stringify(stored)}\n`;
+    this.pending.add(stored);
+    await this.enqueue(async () => {
+      try {
+        await this.file.write(line);
+      } finally {
+        this.pending.delete(stored);
+      }
+    });
+    return stored;
+  }
+
+  enqueue(task) {
+    this.writing = this.writing.catch(() => {}).then(task);
+    return this.writing;
+  }
+
+  evict(channel) {
+    const count = super.evict(channel);
+    this.stale += count;
+    if (
+      this.file &&
+      this.stale >= MIN_COMPACTION &&
+      this.stale > this.retained()
+    ) {
+      this.stale = 0;
+      this.enqueue(() => this.compact()).catch((error) => {
+        console.error('❌ Error compacting the message log:', error.message);
+      });
+    }
+    return count;
+  }
+
+  // Number of messages in the history of all the channels
+  retained() {
+    let count = 0;
+    for (const history of this.channels.values()) {
+      count += history.messages.length;
+    }
+    return count;
+  }
+
+  // Rewrite the log with the retained messages, through a temporary file
+  // so a crash never leaves a truncated log behind
+  async compact() {
+    // The messages not written yet are appended after the compaction
+    let content = '';
+    for (const history of this.channels.values()) {
+      for (const message of history.messages) {
+        if (!this.pending.has(message)) {
+          content += `${JSON.stringify(message)}\n`;
+        }
+      }
+    }
+    const tmp = `${this.path}.tmp`;
+    await writeFile(tmp, content);
+    await this.file.close();
+    try {
+      await rename(tmp, this.path);
+    } finally {
+      this.file = await open(this.path, 'a');
+    }
+  }
+
+  async close() {
+    await this.writing.catch(() => {});
+    await this.file?.close();
+    this.file = null;
+  }
+}
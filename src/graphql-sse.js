@@ -0,0 +1,229 @@
+import { randomUUID } from 'node:crypto';
+import { Readable } from 'node:stream';
+import {
+  getOperationAST,
+  Kind,
+  parse,
+  subscribe,
+  validate,
+  visit,
+} from 'graphql';
+
+// Comment sent on idle streams, so proxies and clients do not drop them
+const KEEP_ALIVE_INTERVAL = 12_000; // 12 seconds
+
+// Set the resume argument of the subscription field to the Last-Event-ID,
+// it supersedes the cursor of the first request
+function resumeFrom(document, { field, argument, supersedes = [] }, value) {
+  return visit(document, {
+    Field(node) {
+      if (node.name.value !== field) {
+        return;
+      }
+      const replaced = [argument, ...supersedes];
+      return {
+        ...node,
+        arguments: [
+          ...(node.arguments ?? []).filter(
+            (arg) => !replaced.includes(arg.name.value),
+          ),
+          {
+            kind: Kind.ARGUMENT,
+            name: { kind: Kind.NAME, value: argument },
+            value: { kind: Kind.STRING, value },
+          },
+        ],
+      };
+    },
+  });
+}
+
+// The context.pubsub of a subscription, as mercurius gives to the WebSocket resolvers:
+// the messages of the subscribed topics are pushed by app.graphql.pubsub to a queue,
+// whose close functions unsubscribe them
+class StreamSubscription {
+  constructor(app) {
+    this.app = app;
+    this.queue = new Readable({ objectMode: true, read: () => {} });
+    // The subscription is over anyway, do not crash the process
+    this.queue.on('error', (error) => app.log.error(error));
+    this.closed = false;
+  }
+
+  // Resolves with the queue, once subscribed to the topic or topics
+  async subscribe(topics, ...args) {
+    const { pubsub } = this.app.graphql;
+    await Promise.all(
+      [topics]
+        .flat()
+        .map((topic) => pubsub.subscribe(topic, this.queue, ...args)),
+    );
+    return this.queue;
+  }
+
+  publish(event) {
+    return new Promise((resolve, reject) => {
+      this.app.graphql.pubsub.publish(event, (error) =>
+        error ? reject(error) : resolve(),
+      );
+    }).catch((error) => this.app.log.error(error));
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    for (const close of this.queue.close ?? []) {
+      close();
+    }
+    delete this.queue.close;
+    this.queue.push(null);
+  }
+}
+
+function readParams(request) {
+  if (request.method === 'POST') {
+    return request.body ?? {};
+  }
+  const { query, variables, operationName } = request.query;
+  return {
+    query,
+    variables: variables ? JSON.parse(variables) : undefined,
+    operationName,
+  };
+}
+
+// GraphQL over Server-Sent Events, distinct connections mode: one stream by operation,
+// with `next` events carrying the results and a final `complete` event.
+// The `next` events carry the message id, so a reconnecting EventSource sends it back
+// as Last-Event-ID, mapped to the `lastEventId.argument` of the `lastEventId.field`.
+// Set lastEventId to null for servers without resume support
+export function graphqlSse(
+  app,
+  {
+    path = '/graphql/stream',
+    context = null,
+    lastEventId = { field: 'onMessage', argument: 'id', supersedes: ['seq'] },
+  } = {},
+) {
+  async function handler(request, reply) {
+    let params;
+    let document;
+    try {
+      params = readParams(request);
+      document = parse(params.query);
+    } catch (error) {
+      return reply.code(400).send({ errors: [{ message: error.message }] });
+    }
+
+    const schema = app.graphql.schema;
+    const errors = validate(schema, document);
+    if (errors.length > 0) {
+      return reply
+        .code(400)
+        .send({ errors: errors.map(({ message }) => ({ message })) });
+    }
+    const operation = getOperationAST(document, params.operationName);
+    if (!operation) {
+      return reply
+        .code(400)
+        .send({ errors: [{ message: 'Unable to identify the operation' }] });
+    }
+
+    const contextValue = {
+      app,
+      request,
+      reply,
+      ...(context && (await context(request))),
+    };
+
+    const stream = reply.raw;
+    const send = (event, data = '', id = null) => {
+      if (stream.destroyed) {
+        return;
+      }
+      const idLine = id != null ? `id: ${id}\n` : '';
+      stream.write(`event: ${event}\n${idLine}data: ${data}\n\n`);
+    };
+    const open = () => {
+      reply.hijack();
+      stream.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+    };
+
+    // Queries and mutations: a single result
+    if (operation.operation !== 'subscription') {
+      const result = await app.graphql(
+        params.query,
+        contextValue,
+        params.variables,
+        params.operationName,
+      );
+      open();
+      send('next', JSON.stringify(result));
+      send('complete');
+      stream.end();
+      return;
+    }
+
+    const resumeId = request.headers['last-event-id'];
+    if (lastEventId && resumeId) {
+      document = resumeFrom(document, lastEventId, resumeId);
+    }
+
+    const subscriptionContext = new StreamSubscription(app);
+    const result = await subscribe({
+      schema,
+      document,
+      rootValue: {},
+      contextValue: {
+        ...contextValue,
+        id: randomUUID(),
+        pubsub: subscriptionContext,
+      },
+      variableValues: params.variables,
+      operationName: params.operationName,
+    });
+
+    // Errors before the subscription started, i.e. invalid arguments
+    if (!result[Symbol.asyncIterator]) {
+      subscriptionContext.close();
+      return reply.code(400).send(result);
+    }
+
+    open();
+    const keepAlive = setInterval(() => {
+      stream.write(':\n\n');
+    }, KEEP_ALIVE_INTERVAL);
+    // The client went away
+    stream.on('close', () => {
+      clearInterval(keepAlive);
+      result.return?.();
+      subscriptionContext.close();
+    });
+
+    try {
+      for await (const value of result) {
+        const id = lastEventId
+          ? value.data?.[lastEventId.field]?.[lastEventId.argument]
+          : null;
+        send('next', JSON.stringify(value), id);
+      }
+      send('complete');
+    } catch (error) {
+      app.log.error(error);
+      send('next', JSON.stringify({ errors: [{ message: error.message }] }));
+      send('complete');
+    } finally {
+      clearInterval(keepAlive);
+      stream.end();
+    }
+  }
+
+  app.get(path, handler);
+  app.post(path, handler);
+}
@@ -0,0 +1,33 @@
+// Remembers the results by client key for a retention window,
+// so a retried request returns the original result instead of creating a duplicate
+export class IdempotencyCache {
+  constructor(ttl) {
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    this.prune();
+    return this.entries.get(key)?.value;
+  }
+
+  set(key, value) {
+    this.prune();
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Entries are in insertion order, so the expired ones are at the beginning
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt > now) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+}
@@ -0,0 +1,55 @@
+// Sub-buckets per power of two, the percentiles are within ~9% of the exact value
+const BUCKETS_PER_DOUBLING = 8;
+
+// Log-linear histogram: constant memory whatever the number of samples
+export class LatencyHistogram {
+  constructor() {
+    this.buckets = [];
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = 0;
+  }
+
+  record(value) {
+    // Clock skew between sender and receiver can produce negative latencies
+    value = Math.max(0, value);
+
+    const index = Math.ceil(Math.log2(value + 1) * BUCKETS_PER_DOUBLING);
+    this.buckets[index] = (this.buckets[index] ?? 0) + 1;
+    this.count++;
+    this.sum += value;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+  }
+
+  percentile(p) {
+    if (this.count === 0) {
+      return 0;
+    }
+
+    const rank = Math.ceil((p / 100) * this.count);
+    let seen = 0;
+    for (let index = 0; index < this.buckets.length; index++) {
+      seen += this.buckets[index] ?? 0;
+      if (seen >= rank) {
+        // Upper bound of the bucket, never above the exact max
+        const value = 2 ** (index / BUCKETS_PER_DOUBLING) - 1;
+        return Math.min(Math.round(value), this.max);
+      }
+    }
+    return this.max;
+  }
+
+  toJSON() {
+    return {
+      count: this.count,
+      min: this.count > 0 ? this.min : 0,
+      mean: this.count > 0 ? Math.round(this.sum / this.count) : 0,
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p99: this.percentile(99),
+      max: this.max,
+    };
+  }
+}
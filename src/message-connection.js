@@ -0,0 +1,131 @@
+import mercurius from 'mercurius';
+
+// Page size when neither first nor last is given, and the largest page
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1_000;
+
+// Messages read from the store at a time while filtering
+const SCAN_SIZE = 500;
+
+// The sequence number of a cursor, the id of a message like the onMessage resume cursor
+function cursorSeq(store, channel, cursor) {
+  const message = store.find(channel, { id: cursor });
+  if (!message) {
+    throw new mercurius.ErrorWithProps('Unknown or expired cursor', {
+      code: 'RESUME_GAP',
+      channel,
+      id: cursor,
+      oldestSeq: store.oldestSeq(channel),
+    });
+  }
+  return message.seq;
+}
+
+function checkPageSize(name, value) {
+  if (value != null && (value < 0 || value > MAX_PAGE_SIZE)) {
+    throw new mercurius.ErrorWithProps(
+      `${name} must be between 0 and ${MAX_PAGE_SIZE}`,
+      { code: 'BAD_PAGE_SIZE' },
+    );
+  }
+}
+
+// Up to count messages matching the filter, from the first one after the lower bound.
+// The bounds are sequence numbers, excluded
+function scanForward(store, channel, lower, upper, count, filter) {
+  const nodes = [];
+  let seq = lower;
+  while (nodes.length < count && seq < upper - 1) {
+    const limit = filter ? SCAN_SIZE : count - nodes.length;
+    const page = store.after(
+      channel,
+      { seq },
+      { limit: Math.min(limit, upper - 1 - seq) },
+    );
+    if (!page?.length) {
+      break;
+    }
+    for (const message of page) {
+      if (nodes.length < count && (!filter || filter(message))) {
+        nodes.push(message);
+      }
+    }
+    seq = page[page.length - 1].seq;
+  }
+  return nodes;
+}
+
+// Up to count messages matching the filter, from the last one before the upper bound
+function scanBackward(store, channel, lower, upper, count, filter) {
+  const nodes = [];
+  let end = upper;
+  while (nodes.length < count && end - 1 > lower) {
+    const limit = filter ? SCAN_SIZE : count - nodes.length;
+    const size = Math.min(limit, end - 1 - lower);
+    const page = store.after(channel, { seq: end - 1 - size }, { limit: size });
+    if (!page?.length) {
+      break;
+    }
+    for (let index = page.length - 1; index >= 0; index--) {
+      if (nodes.length < count && (!filter || filter(page[index]))) {
+        nodes.push(page[index]);
+      }
+    }
+    end = page[0].seq;
+  }
+  return nodes.reverse();
+}
+
+// Relay-style connection over the history of a channel: first/after pages forward,
+// last/before pages backward. The cursors are the message ids, so the endCursor
+// of the last page is also the onMessage resume cursor to join the live messages
+export function messageConnection(
+  store,
+  channel,
+  { first = null, after = null, last = null, before = null },
+  filter = null,
+) {
+  checkPageSize('first', first);
+  checkPageSize('last', last);
+  if (first == null && last == null) {
+    first = DEFAULT_PAGE_SIZE;
+  }
+
+  const lower =
+    after != null
+      ? cursorSeq(store, channel, after)
+      : store.oldestSeq(channel) - 1;
+  const upper =
+    before != null
+      ? cursorSeq(store, channel, before)
+      : store.lastSeq(channel) + 1;
+
+  let nodes;
+  let hasNextPage = false;
+  let hasPreviousPage = false;
+  if (first != null) {
+    // One more message tells whether there is a next page
+    nodes = scanForward(store, channel, lower, upper, first + 1, filter);
+    hasNextPage = first > 0 && nodes.length > first;
+    nodes = nodes.slice(0, first);
+    if (last != null) {
+      hasPreviousPage = last > 0 && nodes.length > last;
+      nodes = nodes.slice(Math.max(0, nodes.length - last));
+    }
+  } else {
+    nodes = scanBackward(store, channel, lower, upper, last + 1, filter);
+    hasPreviousPage = last > 0 && nodes.length > last;
+    nodes = nodes.slice(Math.max(0, nodes.length - last));
+  }
+
+  return {
+    edges: nodes.map((node) => ({ cursor: node.id, node })),
+    nodes,
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage,
+      startCursor: nodes[0]?.id ?? null,
+      endCursor: nodes[nodes.length - 1]?.id ?? null,
+    },
+  };
+}
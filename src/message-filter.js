@@ -0,0 +1,31 @@
+// The onMessage and messages filter arguments, as a predicate on the messages,
+// or null without any filter:
+// - user: only the messages of this user
+// - excludeUser: not the messages of this user, i.e. your own echoes
+// - textContains: only the messages containing this text, case-insensitive
+// On resume it applies to the replayed messages too,
+// so a filtered subscription resumes with the same messages
+export function messageFilter({
+  user = null,
+  excludeUser = null,
+  textContains = null,
+}) {
+  if (user == null && excludeUser == null && textContains == null) {
+    return null;
+  }
+
+  const text = textContains?.toLowerCase();
+  return (message) =>
+    (user == null || message.user === user) &&
+    (excludeUser == null || message.user !== excludeUser) &&
+    (text == null || message.text.toLowerCase().includes(text));
+}
+
+// The onMessage payloads of the subscription matching the filter
+export async function* filterSubscription(subscription, filter) {
+  for await (const payload of subscription) {
+    if (filter(payload.onMessage)) {
+      yield payload;
+    }
+  }
+}
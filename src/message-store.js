@@ -0,0 +1,140 @@
+import { RingBuffer } from './ring-buffer.js';
+
+// The history of one channel, with its own sequence numbers
+class ChannelHistory {
+  constructor() {
+    this.messages = new RingBuffer();
+    // Message id to sequence number, the sequence numbers are contiguous
+    // so they give the position in the history without a scan
+    this.ids = new Map();
+    this.lastSeq = 0;
+  }
+
+  // Adds a message that already has its sequence number
+  insert(message) {
+    this.messages.push(message);
+    this.ids.set(message.id, message.seq);
+    this.lastSeq = message.seq;
+  }
+
+  clear() {
+    this.messages = new RingBuffer();
+    this.ids.clear();
+  }
+
+  // Drop the messages over the retention limits, the oldest first.
+  // Returns the number of evicted messages
+  evict({ maxMessages, maxAge }) {
+    const oldest = Date.now() - maxAge;
+    let count = 0;
+    while (
+      this.messages.length > 0 &&
+      (this.messages.length > maxMessages ||
+        Date.parse(this.messages.at(0).at) < oldest)
+    ) {
+      const message = this.messages.shift();
+      if (this.ids.get(message.id) === message.seq) {
+        this.ids.delete(message.id);
+      }
+      count++;
+    }
+    return count;
+  }
+
+  // The sequence number of the oldest message still in the history
+  get oldestSeq() {
+    return this.messages.at(0)?.seq ?? this.lastSeq + 1;
+  }
+
+  find({ id = null, seq = null }) {
+    const found = seq ?? this.ids.get(id);
+    if (found == null) {
+      return null;
+    }
+    return this.messages.at(found - this.oldestSeq) ?? null;
+  }
+
+  after({ id = null, seq = null }, { limit = Infinity } = {}) {
+    const from = seq ?? this.ids.get(id);
+    if (from == null || from > this.lastSeq || from < this.oldestSeq - 1) {
+      return null;
+    }
+    const start = from - this.oldestSeq + 1;
+    return this.messages.slice(start, start + limit);
+  }
+}
+
+// Read by the channels without any message, never written
+const EMPTY = new ChannelHistory();
+
+// Keeps the message history in memory, it is lost when the process stops.
+// Stores assign the sequence numbers, any object with the same methods can be used:
+// load() before use, append() to add a message, find() to read a message
+// and after() to read the history from a cursor, page by page.
+// The history and the sequence numbers are by channel, the message.channel.
+// The history of each channel is bounded by count (maxMessages) and by age in ms (maxAge)
+export class MemoryMessageStore {
+  constructor({ maxMessages = Infinity, maxAge = Infinity } = {}) {
+    this.retention = { maxMessages, maxAge };
+    this.channels = new Map();
+  }
+
+  async load() {}
+
+  // Resolves with the stored message, once it is persisted
+  async append(message) {
+    return this.add(message);
+  }
+
+  // Synchronous, so concurrent appends get distinct sequence numbers
+  add(message) {
+    const history = this.history(message.channel);
+    const stored = { ...message, seq: history.lastSeq + 1 };
+    history.insert(stored);
+    this.evict(message.channel);
+    return stored;
+  }
+
+  // The history of the channel, created on the first message
+  history(channel) {
+    let history = this.channels.get(channel);
+    if (!history) {
+      history = new ChannelHistory();
+      this.channels.set(channel, history);
+    }
+    return history;
+  }
+
+  // Returns the number of evicted messages
+  evict(channel) {
+    return (this.channels.get(channel) ?? EMPTY).evict(this.retention);
+  }
+
+  lastSeq(channel) {
+    return (this.channels.get(channel) ?? EMPTY).lastSeq;
+  }
+
+  // The sequence number of the oldest message still in the history of the channel
+  oldestSeq(channel) {
+    this.evict(channel);
+    return (this.channels.get(channel) ?? EMPTY).oldestSeq;
+  }
+
+  // The message of the channel with the given id or sequence number,
+  // null when it is not in the history
+  find(channel, cursor) {
+    this.evict(channel);
+    return (this.channels.get(channel) ?? EMPTY).find(cursor);
+  }
+
+  // The messages of the channel after the given message id or sequence number, at most limit,
+  // or null when the messages after the cursor are no longer in the history
+  // (evicted, or unknown cursor, i.e. from before a restart without persistence).
+  // Replay a large history by pages, passing the seq of the last message of a page
+  after(channel, cursor, options) {
+    this.evict(channel);
+    return (this.channels.get(channel) ?? EMPTY).after(cursor, options);
+  }
+
+  async close() {}
+}
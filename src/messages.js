@@ -0,0 +1,179 @@
+import { randomUUID } from 'node:crypto';
+import mercurius from 'mercurius';
+import { channelTopic, DEFAULT_CHANNEL } from './channels.js';
+import { FileMessageStore } from './file-message-store.js';
+import { IdempotencyCache } from './idempotency-cache.js';
+import { messageConnection } from './message-connection.js';
+import { messageFilter } from './message-filter.js';
+import { MemoryMessageStore } from './message-store.js';
+
+// The message schema, storage and resolvers shared by the servers,
+// which differ by how they subscribe
+
+// How long a clientMessageId is remembered to deduplicate retried mutations
+const IDEMPOTENCY_TTL = process.env.IDEMPOTENCY_TTL
+  ? parseInt(process.env.IDEMPOTENCY_TTL, 10)
+  : 300_000; // 5 minutes
+
+// Append-only log of the message history, kept in memory only when not set
+const MESSAGE_LOG = process.env.MESSAGE_LOG;
+
+// History retention, by number of messages and by age (ms), unbounded by default
+const retention = {
+  maxMessages: process.env.HISTORY_MAX_MESSAGES
+    ? parseInt(process.env.HISTORY_MAX_MESSAGES, 10)
+    : Infinity,
+  maxAge: process.env.HISTORY_MAX_AGE
+    ? parseInt(process.env.HISTORY_MAX_AGE, 10)
+    : Infinity,
+};
+
+// Messages replayed between two turns of the event loop on resume
+export const REPLAY_PAGE_SIZE = 100;
+
+const filterArgs = `
+      # Filters, the messages of user, not of excludeUser, containing textContains
+      user: String
+      excludeUser: String
+      textContains: String`;
+
+// With resumable, onMessage takes the id or seq of the last received message
+export function messageSchema({ resumable = false } = {}) {
+  const resumeArgs = resumable
+    ? `
+      id: String
+      seq: Int`
+    : '';
+
+  return `
+  type Message {
+    id: ID!
+    # Increases by one for each message of the channel, to detect missed messages
+    seq: Int!
+    channel: String!
+    text: String!
+    user: String!
+    at: String!
+  }
+
+  # Relay-style pagination, the cursors are the message ids
+  type MessageEdge {
+    cursor: String!
+    node: Message!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type MessageConnection {
+    edges: [MessageEdge!]!
+    nodes: [Message!]!
+    pageInfo: PageInfo!
+  }
+
+  type Query {
+    # The first 100 messages without first or last, at most 1000 by page
+    messages(
+      channel: String! = "${DEFAULT_CHANNEL}"
+      first: Int
+      after: String
+      last: Int
+      before: String${filterArgs}
+    ): MessageConnection!
+  }
+
+  type Mutation {
+    sendMessage(
+      channel: String! = "${DEFAULT_CHANNEL}"
+      text: String!
+      user: String!
+      clientMessageId: String
+    ): Message
+  }
+
+  type Subscription {
+    onMessage(
+      channel: String! = "${DEFAULT_CHANNEL}"${resumeArgs}${filterArgs}
+    ): Message
+  }
+`;
+}
+
+export function createStorage() {
+  return {
+    // Message history, assigns the sequence numbers
+    messages: MESSAGE_LOG
+      ? new FileMessageStore(MESSAGE_LOG, retention)
+      : new MemoryMessageStore(retention),
+    // Messages by clientMessageId, to deduplicate retried mutations
+    sent: new IdempotencyCache(IDEMPOTENCY_TTL),
+  };
+}
+
+// The messages after the resume cursor were evicted from the history:
+// fail explicitly, so the client refetches instead of missing them
+export function resumeGap(storage, channel, id, seq) {
+  return new mercurius.ErrorWithProps('Resume cursor expired', {
+    code: 'RESUME_GAP',
+    channel,
+    id,
+    seq,
+    oldestSeq: storage.messages.oldestSeq(channel),
+  });
+}
+
+// The Query and Mutation resolvers, sendMessage publishes with context.pubsub
+export function messageResolvers(storage) {
+  return {
+    Query: {
+      messages: (_, { channel, first, after, last, before, ...filters }) =>
+        messageConnection(
+          storage.messages,
+          channel,
+          { first, after, last, before },
+          messageFilter(filters),
+        ),
+    },
+    Mutation: {
+      sendMessage: async (
+        _,
+        { channel, text, user, clientMessageId },
+        { pubsub, identity },
+      ) => {
+        // A retried request returns the original message without publishing it again
+        const sent = clientMessageId && storage.sent.get(clientMessageId);
+        if (sent) {
+          return sent;
+        }
+
+        const topic = channelTopic(channel);
+        const appending = storage.messages.append({
+          id: randomUUID(),
+          channel,
+          text,
+          // The authenticated user, when authentication is enabled
+          user: identity?.sub ?? user,
+          at: new Date().toISOString(),
+        });
+        // Remember the pending message, so a retry arriving meanwhile gets it too
+        if (clientMessageId) {
+          storage.sent.set(clientMessageId, appending);
+          appending.catch(() => storage.sent.delete(clientMessageId));
+        }
+        const message = await appending;
+
+        // Publish to subscription
+        await pubsub.publish({
+          topic,
+          payload: { onMessage: message },
+        });
+
+        return message;
+      },
+    },
+  };
+}
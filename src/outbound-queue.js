@@ -0,0 +1,111 @@
+import { ReconnectPolicy } from './reconnect-policy.js';
+
+const MAX_QUEUE_SIZE = 1_000;
+const INITIAL_RETRY_DELAY = 500;
+
+// Holds the outgoing items while the server is unreachable and sends them
+// in order, one at a time, retrying with backoff.
+// send(item) must throw an error with `retriable: true` for failures worth retrying.
+export class OutboundQueue {
+  constructor(
+    send,
+    {
+      retryPolicy = new ReconnectPolicy({
+        initialDelay: INITIAL_RETRY_DELAY,
+        maxAttempts: Infinity,
+      }),
+      maxSize = MAX_QUEUE_SIZE,
+      logger = null,
+    } = {},
+  ) {
+    this.send = send;
+    this.retryPolicy = retryPolicy;
+    this.maxSize = maxSize;
+    this.logger = logger;
+    this.entries = [];
+    this.draining = false;
+    this.retryTimeout = null;
+    this.wake = null;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Resolves with the result of send() once the item is delivered
+  push(item) {
+    if (this.entries.length >= this.maxSize) {
+      return Promise.reject(
+        new Error(`Outbound queue is full (${this.maxSize} items)`),
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      this.entries.push({ item, resolve, reject });
+      this.drain();
+    });
+  }
+
+  // Skip the current backoff, i.e. when the connection is back
+  retryNow() {
+    clearTimeout(this.retryTimeout);
+    this.wake?.();
+  }
+
+  async drain() {
+    if (this.draining) {
+      return;
+    }
+    this.draining = true;
+
+    try {
+      while (this.entries.length > 0) {
+        const entry = this.entries[0];
+        try {
+          const result = await this.send(entry.item);
+          this.remove(entry);
+          this.retryPolicy.reset();
+          entry.resolve(result);
+        } catch (error) {
+          const delay = error.retriable ? this.retryPolicy.nextDelay() : null;
+          if (delay === null) {
+            this.remove(entry);
+            this.retryPolicy.reset();
+            entry.reject(error);
+            continue;
+          }
+
+          this.logger?.error(
+            `❌ Send failed, retrying in ${delay}ms (${this.entries.length} queued):`,
+            error.message,
+          );
+          await new Promise((resolve) => {
+            this.wake = resolve;
+            this.retryTimeout = setTimeout(resolve, delay);
+          });
+          this.wake = null;
+          this.retryTimeout = null;
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // The entry may be gone already if the queue was cleared while sending
+  remove(entry) {
+    if (this.entries[0] === entry) {
+      this.entries.shift();
+    }
+  }
+
+  // Reject all the pending items
+  clear(error = new Error('Outbound queue cleared')) {
+    const entries = this.entries;
+    this.entries = [];
+    for (const entry of entries) {
+      entry.reject(error);
+    }
+    this.retryNow();
+  }
+}
@@ -1,3 +1,4 @@
+import { randomUUID } from 'node:crypto';
 import fastifyHttpProxy from '@fastify/http-proxy';
 import { StatefulSubscriptions } from '@platformatic/graphql-subscriptions-resume';
 import esMain from 'es-main';
@@ -10,6 +11,46 @@ const PING_INTERVAL = process.env.PING_INTERVAL
 
 let app = null;
 
+// The client picks the subprotocol, the upstream connection uses the same one.
+// The hooks read both framings: start/data/stop in graphql-ws,
+// subscribe/next/complete in graphql-transport-ws
+const GRAPHQL_TRANSPORT_WS = 'graphql-transport-ws';
+const START_TYPES = ['start', 'subscribe'];
+const DATA_TYPES = ['data', 'next'];
+const TRANSPORT_WS_TYPES = {
+  start: 'subscribe',
+  data: 'next',
+  stop: 'complete',
+};
+
+// StatefulSubscriptions restores the subscriptions in the graphql-ws framing,
+// translated for the upstream connections in graphql-transport-ws
+function restoreTarget(target) {
+  if (target.protocol !== GRAPHQL_TRANSPORT_WS) {
+    return target;
+  }
+  const send = (data, ...args) => {
+    const message = JSON.parse(data);
+    message.type = TRANSPORT_WS_TYPES[message.type] ?? message.type;
+    target.send(JSON.stringify(message), ...args);
+  };
+  return new Proxy(target, {
+    get(socket, property) {
+      if (property === 'send') {
+        return send;
+      }
+      const value = Reflect.get(socket, property);
+      return typeof value === 'function' ? value.bind(socket) : value;
+    },
+  });
+}
+
+function isSubscription(query) {
+  return /^\s*subscription\b/.test(query);
+}
+
+// The subscriptions are restored with their query and variables, so in their channel,
+// from the id of the last received message: the ids are unique across the channels
 const state = new StatefulSubscriptions({
   subscriptions: [{ name: 'onMessage', key: 'id' }],
 });
@@ -57,7 +98,7 @@ const wsHooks = {
       timestamp,
     });
 
-    state.restoreSubscriptions(source.id, target);
+    state.restoreSubscriptions(source.id, restoreTarget(target));
   },
 
   onIncomingMessage: (_context, source, _target, message) => {
@@ -67,7 +108,15 @@ const wsHooks = {
       source.id = m.id || randomUUID();
     }
 
-    if (m.type !== 'start') {
+    if (!START_TYPES.includes(m.type)) {
+      return;
+    }
+
+    // Queries and mutations can be sent over the socket too,
+    // only the subscriptions are tracked to be restored
+    if (!isSubscription(m.payload.query)) {
+      source.requestIds ??= new Set();
+      source.requestIds.add(m.id);
       return;
     }
 
@@ -93,7 +142,15 @@ const wsHooks = {
     const m = JSON.parse(message.data.toString('utf-8'));
     const timestamp = new Date().toISOString();
 
-    if (m.type === 'data') {
+    // Ignore the responses to queries and mutations
+    if (source.requestIds?.has(m.id)) {
+      if (m.type === 'complete') {
+        source.requestIds.delete(m.id);
+      }
+      return;
+    }
+
+    if (DATA_TYPES.includes(m.type)) {
       if (DEBUG) {
         console.log('[PROXY] 📤 Updating subscription state', {
           clientId: source.id,
@@ -0,0 +1,88 @@
+// Default retry constants
+const MAX_RECONNECT_ATTEMPTS = 5;
+const INITIAL_RECONNECT_DELAY = 2_000; // 2 seconds
+const MAX_RECONNECT_DELAY = 30_000; // 30 seconds
+
+const JITTER_STRATEGIES = ['none', 'full', 'decorrelated'];
+
+// Decides how long to wait before each reconnection attempt, and when to give up.
+// Any object with the same nextDelay() and reset() methods can be used as a policy.
+export class ReconnectPolicy {
+  constructor({
+    initialDelay = INITIAL_RECONNECT_DELAY,
+    maxDelay = MAX_RECONNECT_DELAY,
+    // none: pure exponential backoff
+    // full: random delay between 0 and the exponential backoff
+    // decorrelated: random delay between initialDelay and 3 times the previous delay
+    jitter = 'full',
+    // Use Infinity to retry forever
+    maxAttempts = MAX_RECONNECT_ATTEMPTS,
+    // Give up when reconnecting takes longer than this (ms)
+    maxElapsedTime = Infinity,
+    // Circuit breaker: when set, after maxAttempts failures wait the cool-down
+    // and start over instead of giving up
+    cooldown = 0,
+    random = Math.random,
+  } = {}) {
+    if (!JITTER_STRATEGIES.includes(jitter)) {
+      throw new Error(
+        `Invalid jitter strategy: ${jitter}, use one of ${JITTER_STRATEGIES.join(', ')}`,
+      );
+    }
+
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter;
+    this.maxAttempts = maxAttempts;
+    this.maxElapsedTime = maxElapsedTime;
+    this.cooldown = cooldown;
+    this.random = random;
+    this.reset();
+  }
+
+  // Called when the connection is established
+  reset() {
+    this.attempts = 0;
+    this.startedAt = null;
+    this.previousDelay = this.initialDelay;
+  }
+
+  // Returns the delay before the next attempt in ms, or null to give up
+  nextDelay() {
+    this.startedAt ??= Date.now();
+    if (Date.now() - this.startedAt >= this.maxElapsedTime) {
+      return null;
+    }
+
+    if (this.attempts >= this.maxAttempts) {
+      if (!this.cooldown) {
+        return null;
+      }
+      // Open the circuit: wait for the cool-down, then probe the server
+      // and start a new round
+      this.attempts = 0;
+      this.previousDelay = this.initialDelay;
+      return this.cooldown;
+    }
+
+    this.attempts++;
+    const backoff = Math.min(
+      this.initialDelay * 2 ** (this.attempts - 1),
+      this.maxDelay,
+    );
+
+    let delay = backoff;
+    if (this.jitter === 'full') {
+      delay = this.random() * backoff;
+    } else if (this.jitter === 'decorrelated') {
+      delay = Math.min(
+        this.maxDelay,
+        this.initialDelay +
+          this.random() * (this.previousDelay * 3 - this.initialDelay),
+      );
+    }
+    this.previousDelay = delay;
+
+    return Math.round(delay);
+  }
+}
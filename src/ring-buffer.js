@@ -0,0 +1,61 @@
+// Growable circular buffer: push() at the end and shift() from the beginning in O(1),
+// at() reads by position from the oldest item
+export class RingBuffer {
+  constructor(capacity = 16) {
+    this.items = new Array(capacity);
+    this.head = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    if (this.length === this.items.length) {
+      this.grow();
+    }
+    this.items[(this.head + this.length) % this.items.length] = item;
+    this.length++;
+  }
+
+  shift() {
+    if (this.length === 0) {
+      return undefined;
+    }
+    const item = this.items[this.head];
+    // Release the reference, so the item can be garbage collected
+    this.items[this.head] = undefined;
+    this.head = (this.head + 1) % this.items.length;
+    this.length--;
+    return item;
+  }
+
+  at(index) {
+    if (index < 0 || index >= this.length) {
+      return undefined;
+    }
+    return this.items[(this.head + index) % this.items.length];
+  }
+
+  // Copy of the items from start to end (excluded), like Array.prototype.slice
+  // with non-negative indexes
+  slice(start = 0, end = this.length) {
+    end = Math.min(end, this.length);
+    const result = [];
+    for (let index = start; index < end; index++) {
+      result.push(this.at(index));
+    }
+    return result;
+  }
+
+  *[Symbol.iterator]() {
+    for (let index = 0; index < this.length; index++) {
+      yield this.at(index);
+    }
+  }
+
+  // Double the capacity, unwrapping the items to the beginning
+  grow() {
+    const items = this.slice();
+    items.length = this.items.length * 2;
+    this.items = items;
+    this.head = 0;
+  }
+}
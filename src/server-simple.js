@@ -1,79 +1,56 @@
-import { randomUUID } from 'node:crypto';
 import esMain from 'es-main';
 import Fastify from 'fastify';
 import mercurius from 'mercurius';
+import { createAuth } from './auth.js';
+import { channelTopic } from './channels.js';
+import { graphqlSse } from './graphql-sse.js';
+import { filterSubscription, messageFilter } from './message-filter.js';
+import { createStorage, messageResolvers, messageSchema } from './messages.js';
 
 const app = Fastify();
 
-const schema = `
-  type Message {
-    id: ID!
-    text: String!
-    user: String!
-    at: String!
-  }
-
-  type Query {
-    messages: [Message]
-  }
-
-  type Mutation {
-    sendMessage(text: String!, user: String!): Message
-  }
-
-  type Subscription {
-    onMessage: Message
-  }
-`;
+// When set, every connection and request needs a JWT signed with this secret (HS256)
+const auth = process.env.AUTH_SECRET
+  ? createAuth(process.env.AUTH_SECRET)
+  : null;
 
-const storage = {
-  messages: [],
-};
+const storage = createStorage();
 
 const resolvers = {
-  Query: {
-    messages: () => storage.messages,
-  },
-  Mutation: {
-    sendMessage: async (_, { text, user }, { pubsub }) => {
-      const message = {
-        id: randomUUID(),
-        text,
-        user,
-        at: new Date().toISOString(),
-      };
-      storage.messages.push(message);
-
-      // Publish to subscription
-      await pubsub.publish({
-        topic: 'MESSAGE_SENT',
-        payload: { onMessage: message },
-      });
-
-      return message;
-    },
-  },
+  ...messageResolvers(storage),
   Subscription: {
     onMessage: {
-      subscribe: async (_, __, { pubsub }) => {
-        return pubsub.subscribe('MESSAGE_SENT');
+      subscribe: async (_, { channel, ...filters }, { pubsub }) => {
+        const subscription = await pubsub.subscribe(channelTopic(channel));
+        const filter = messageFilter(filters);
+        return filter ? filterSubscription(subscription, filter) : subscription;
       },
     },
   },
 };
 
 app.register(mercurius, {
-  schema,
+  schema: messageSchema(),
   resolvers,
-  subscription: true,
+  context: auth?.context,
+  subscription: {
+    // Also run queries and mutations over the WebSocket connection
+    fullWsTransport: true,
+    onConnect: auth?.onConnect,
+  },
   graphiql: true,
 });
 
+// Subscriptions over Server-Sent Events, where WebSocket upgrades are blocked
+graphqlSse(app, { lastEventId: null, context: auth?.context });
+
 export async function start() {
   try {
+    await storage.messages.load();
     await app.listen({ port: 4000, host: '0.0.0.0' });
     console.log('🚀 Server ready at http://localhost:4000/graphql');
     console.log('🔗 Subscription endpoint: ws://localhost:4000/graphql');
+    console.log('📡 SSE endpoint: http://localhost:4000/graphql/stream');
   } catch (err) {
     app.log.error(err);
     process.exit(1);
@@ -82,6 +59,7 @@ export async function start() {
 
 export async function stop() {
   await app.close();
+  await storage.messages.close();
 }
 
 // Auto-start when run directly
@@ -1,10 +1,21 @@
 import { randomUUID } from 'node:crypto';
 import { EventEmitter } from 'node:events';
-import { setTimeout as sleep } from 'node:timers/promises';
+import { setImmediate, setTimeout as sleep } from 'node:timers/promises';
 import fastifyWebsocket from '@fastify/websocket';
 import esMain from 'es-main';
 import Fastify from 'fastify';
 import mercurius from 'mercurius';
+import { createAuth } from './auth.js';
+import { channelTopic } from './channels.js';
+import { graphqlSse } from './graphql-sse.js';
+import { messageFilter } from './message-filter.js';
+import {
+  createStorage,
+  messageResolvers,
+  messageSchema,
+  REPLAY_PAGE_SIZE,
+  resumeGap,
+} from './messages.js';
 
 const DEBUG = process.env.DEBUG === 'true' || process.env.DEBUG === '1';
 
@@ -23,6 +34,11 @@ const TRIGGER_PROBLEM_MAX = process.env.TRIGGER_PROBLEM_MAX
   ? parseInt(process.env.TRIGGER_PROBLEM_MAX, 10)
   : 5_000;
 
+// When set, every connection and request needs a JWT signed with this secret (HS256)
+const auth = process.env.AUTH_SECRET
+  ? createAuth(process.env.AUTH_SECRET)
+  : null;
+
 const possibleProblems = [
   'unresponsive',
   'close_connection',
@@ -163,7 +179,20 @@ class Pubsub {
     this.subscriptions = new Map();
   }
 
-  async subscribe(topic, queue, context, id) {
+  async subscribe(topic, queue, context, channel, id, seq, filter = null) {
+    let page = null;
+    if (id || seq != null) {
+      page = storage.messages.after(
+        channel,
+        { id, seq },
+        { limit: REPLAY_PAGE_SIZE },
+      );
+      if (!page) {
+        console.log('[GRAPHQL SERVER] 🚨 Resume cursor expired', { id, seq });
+        throw resumeGap(storage, channel, id, seq);
+      }
+    }
+
     const subscriptionId = context.id || randomUUID();
     // Schedule potential problems for this specific subscription
     const problem = scheduleSubscriptionProblem(subscriptionId);
@@ -171,18 +200,33 @@ class Pubsub {
       subscriptionId,
       topic,
       id,
+      seq,
       problem,
     });
 
-    // dont respond to ping if the subscription became unresponsive
-    context.ws.on('ping', () => {
+    // dont respond to ping if the subscription became unresponsive,
+    // there is no WebSocket with the SSE transport
+    context.ws?.on('ping', () => {
       if (problem?.unresponsive && problem?.run) {
         return;
       }
       context.ws.pong();
     });
 
+    // While the history is replayed, the live messages wait in pending,
+    // then only the ones newer than the replayed history are sent
+    let pending = page ? [] : null;
+    let replayedSeq = 0;
+    const forward = (message) => {
+      if (message.onMessage.seq > replayedSeq) {
+        queue.push(message);
+      }
+    };
+
     const listener = async (message) => {
+      if (filter && !filter(message.onMessage)) {
+        return;
+      }
       // Become unresponsive
       // This will trigger a reconnection on proxy connection control
       if (problem?.unresponsive && problem?.run) {
@@ -193,14 +237,18 @@ class Pubsub {
       if (DEBUG) {
         console.log('[GRAPHQL SERVER] 🚨 Sending message', message);
       }
-      queue.push(message);
+      if (pending) {
+        pending.push(message);
+        return;
+      }
+      forward(message);
     };
     const close = () => {
       this.emitter.removeListener(topic, listener);
     };
     const subscription = {
       topic,
-      args: { id },
+      args: { channel, id, seq, filter },
       queue,
       context,
       listener,
@@ -216,43 +264,56 @@ class Pubsub {
       await triggerProblem(problem, context);
     }
 
-    if (!id) {
+    if (!page) {
       return;
     }
 
-    const startIndex = storage.messages.findIndex((msg) => msg.id === id);
-
-    if (startIndex !== -1) {
-      const messagesToSend = storage.messages.slice(startIndex + 1);
-      console.log('[GRAPHQL SERVER] 🚨 Starting from message id', {
-        id,
-        index: startIndex,
-        count: messagesToSend.length,
-      });
-      for (const message of messagesToSend) {
+    // The messages after the last received one, by id or by sequence number (seq starts at 1),
+    // by pages so a large backlog does not stall the other connections
+    console.log('[GRAPHQL SERVER] 🚨 Starting from message id', {
+      id,
+      seq,
+      count:
+        page.length > 0
+          ? storage.messages.lastSeq(channel) - page[0].seq + 1
+          : 0,
+    });
+    while (page.length > 0) {
+      for (const message of filter ? page.filter(filter) : page) {
         // no delay on resend
         if (DEBUG) {
           console.log('[GRAPHQL SERVER] 🚨 Resending message', {
             onMessage: message,
           });
         }
-        if (!message) {
-          console.error('[GRAPHQL SERVER] 🚨 Message is undefined', {
-            message,
-          });
-          continue;
-        }
         queue.push({ onMessage: message });
       }
-    } else {
-      if (DEBUG) {
-        console.log('[GRAPHQL SERVER] 🚨 Message id not found', id);
+      await setImmediate();
+      page = storage.messages.after(
+        channel,
+        { seq: page[page.length - 1].seq },
+        { limit: REPLAY_PAGE_SIZE },
+      );
+      if (!page) {
+        // Evicted while replaying
+        close();
+        throw resumeGap(storage, channel, id, seq);
       }
     }
+
+    // Read along with the empty last page: the history up to here was replayed
+    replayedSeq = storage.messages.lastSeq(channel);
+    const buffered = pending;
+    pending = null;
+    for (const message of buffered) {
+      forward(message);
+    }
   }
 
-  send(topic, message) {
-    this.emitter.emit(topic, message);
+  // The interface of the mercurius pubsub, used by sendMessage
+  publish({ topic, payload }, callback) {
+    this.emitter.emit(topic, payload);
+    callback?.();
   }
 
   close() {
@@ -274,67 +335,41 @@ app.register(fastifyWebsocket, {
   },
 });
 
-const schema = `
-  type Message {
-    id: ID!
-    text: String!
-    user: String!
-    at: String!
-  }
-
-  type Query {
-    messages: [Message]
-  }
-
-  type Mutation {
-    sendMessage(text: String!, user: String!): Message
-  }
-
-  type Subscription {
-    onMessage(id: String): Message
-  }
-`;
-
-const storage = {
-  messages: [],
-};
+const storage = createStorage();
 
 const resolvers = {
-  Query: {
-    messages: () => storage.messages,
-  },
-  Mutation: {
-    sendMessage: async (_, { text, user }, { pubsub }) => {
-      const message = {
-        id: randomUUID(),
-        text,
-        user,
-        at: new Date().toISOString(),
-      };
-      storage.messages.push(message);
-
-      pubsub.send('MESSAGE_SENT', { onMessage: message });
-
-      return message;
-    },
-  },
+  ...messageResolvers(storage),
   Subscription: {
     onMessage: {
-      subscribe: (_, { id }, context, _info) => {
+      subscribe: (_, { channel, id, seq, ...filters }, context, _info) => {
         console.log('[GRAPHQL SERVER] 🔗 Subscription started', {
+          channel,
           fromMessageId: id,
+          fromSeq: seq,
+          filters,
           query: context.__currentQuery,
         });
-        return context.pubsub.subscribe('MESSAGE_SENT', context, id);
+        return context.pubsub.subscribe(
+          channelTopic(channel),
+          context,
+          channel,
+          id,
+          seq,
+          messageFilter(filters),
+        );
       },
     },
   },
 };
 
 app.register(mercurius, {
-  schema,
+  schema: messageSchema({ resumable: true }),
   resolvers,
+  context: auth?.context,
   subscription: {
+    // Also run queries and mutations over the WebSocket connection
+    fullWsTransport: true,
+    onConnect: auth?.onConnect,
     context: (ws, _request) => {
       return { ws };
     },
@@ -343,8 +378,12 @@ app.register(mercurius, {
   graphiql: true,
 });
 
+// Subscriptions over Server-Sent Events, where WebSocket upgrades are blocked
+graphqlSse(app, { context: auth?.context });
+
 export async function start() {
   try {
+    await storage.messages.load();
     await app.listen({ port: 4000, host: '0.0.0.0' });
     console.log(
       '[GRAPHQL SERVER] 🚀 Unstable Server ready at http://localhost:4000/graphql',
@@ -352,6 +391,9 @@ export async function start() {
     console.log(
       '[GRAPHQL SERVER] 🔗 Subscription endpoint: ws://localhost:4000/graphql',
     );
+    console.log(
+      '[GRAPHQL SERVER] 📡 SSE endpoint: http://localhost:4000/graphql/stream',
+    );
     console.log(
       '[GRAPHQL SERVER] 📝 Subscriptions support resuming from specific message IDs',
     );
@@ -416,6 +458,7 @@ export async function stop() {
   console.log('[GRAPHQL SERVER] === END REPORT ===\n');
 
   await app.close();
+  await storage.messages.close();
 }
 
 if (esMain(import.meta)) {
@@ -1,116 +1,116 @@
-import { randomUUID } from 'node:crypto';
+import { setImmediate } from 'node:timers/promises';
 import Fastify from 'fastify';
 import mercurius from 'mercurius';
+import { createAuth } from './auth.js';
+import { channelTopic } from './channels.js';
+import { graphqlSse } from './graphql-sse.js';
+import { filterSubscription, messageFilter } from './message-filter.js';
+import {
+  createStorage,
+  messageResolvers,
+  messageSchema,
+  REPLAY_PAGE_SIZE,
+  resumeGap,
+} from './messages.js';
 
 const app = Fastify();
 
-const schema = `
-  type Message {
-    id: ID!
-    text: String!
-    user: String!
-    at: String!
-  }
-
-  type Query {
-    messages: [Message]
-  }
+// When set, every connection and request needs a JWT signed with this secret (HS256)
+const auth = process.env.AUTH_SECRET
+  ? createAuth(process.env.AUTH_SECRET)
+  : null;
 
-  type Mutation {
-    sendMessage(text: String!, user: String!): Message
-  }
-
-  type Subscription {
-    onMessage(id: String): Message
-  }
-`;
-
-const storage = {
-  messages: [],
-};
+const storage = createStorage();
 
 const resolvers = {
-  Query: {
-    messages: () => storage.messages,
-  },
-  Mutation: {
-    sendMessage: async (_, { text, user }, { pubsub }) => {
-      const message = {
-        id: randomUUID(),
-        text,
-        user,
-        at: new Date().toISOString(),
-      };
-      storage.messages.push(message);
-
-      // Publish to subscription
-      await pubsub.publish({
-        topic: 'MESSAGE_SENT',
-        payload: { onMessage: message },
-      });
-
-      return message;
-    },
-  },
+  ...messageResolvers(storage),
   Subscription: {
     onMessage: {
-      subscribe: async (_, { id }, { pubsub }) => {
-        if (!id) {
+      subscribe: async (_, { channel, id, seq, ...filters }, { pubsub }) => {
+        const topic = channelTopic(channel);
+        const filter = messageFilter(filters);
+        if (!id && seq == null) {
           // Default behavior: just subscribe to new messages
-          return pubsub.subscribe('MESSAGE_SENT');
+          const subscription = await pubsub.subscribe(topic);
+          return filter
+            ? filterSubscription(subscription, filter)
+            : subscription;
+        }
+        // If an id is provided, send all messages after that id first,
+        // or after the given sequence number (seq starts at 1)
+        if (!storage.messages.after(channel, { id, seq }, { limit: 0 })) {
+          throw resumeGap(storage, channel, id, seq);
         }
-        // If an id is provided, send all messages starting from that id first
-        // Find the index of the message with the given id
-        const startIndex = storage.messages.findIndex((msg) => msg.id === id);
-
-        if (startIndex !== -1) {
-          // Send all messages from that point forward
-          const messagesToSend = storage.messages.slice(startIndex);
-
-          // Create a custom async iterator that first sends existing messages
-          // then subscribes to new ones
-          return (async function* () {
-            // Send existing messages first
-            for (const message of messagesToSend) {
-              yield { onMessage: message };
-            }
-
-            // Then subscribe to new messages
-            const subscription = await pubsub.subscribe('MESSAGE_SENT');
-            let resumeFromNext = false;
 
-            for await (const message of subscription) {
-              // Start yielding new messages only after we see the last stored message
-              // or immediately if we don't have any stored messages
-              if (messagesToSend.length === 0 || resumeFromNext) {
-                yield message;
-              } else if (
-                message.onMessage.id ===
-                messagesToSend[messagesToSend.length - 1].id
-              ) {
-                // Found the last stored message in the live stream, start yielding from next message
-                resumeFromNext = true;
+        // Subscribe before reading the history, so the messages published
+        // during the replay are buffered in the subscription instead of lost
+        const subscription = await pubsub.subscribe(topic);
+
+        return (async function* () {
+          // Replay the history by pages, so a large backlog
+          // does not stall the other connections
+          let page = storage.messages.after(
+            channel,
+            { id, seq },
+            { limit: REPLAY_PAGE_SIZE },
+          );
+          while (page?.length > 0) {
+            for (const message of page) {
+              if (!filter || filter(message)) {
+                yield { onMessage: message };
               }
             }
-          })();
-        }
+            await setImmediate();
+            page = storage.messages.after(
+              channel,
+              { seq: page[page.length - 1].seq },
+              { limit: REPLAY_PAGE_SIZE },
+            );
+          }
+          if (!page) {
+            // Evicted while replaying
+            throw resumeGap(storage, channel, id, seq);
+          }
+
+          // Read along with the empty last page: the history up to here was replayed,
+          // the buffered live messages at or below it were already sent
+          const replayedSeq = storage.messages.lastSeq(channel);
+          for await (const message of subscription) {
+            if (
+              message.onMessage.seq > replayedSeq &&
+              (!filter || filter(message.onMessage))
+            ) {
+              yield message;
+            }
+          }
+        })();
       },
     },
   },
 };
 
 app.register(mercurius, {
-  schema,
+  schema: messageSchema({ resumable: true }),
   resolvers,
-  subscription: true,
+  context: auth?.context,
+  subscription: {
+    // Also run queries and mutations over the WebSocket connection
+    fullWsTransport: true,
+    onConnect: auth?.onConnect,
+  },
   graphiql: true,
 });
 
+// Subscriptions over Server-Sent Events, where WebSocket upgrades are blocked
+graphqlSse(app, { context: auth?.context });
+
 export async function start() {
   try {
+    await storage.messages.load();
     await app.listen({ port: 4000, host: '0.0.0.0' });
     console.log('🚀 Resumable Server ready at http://localhost:4000/graphql');
     console.log('🔗 Subscription endpoint: ws://localhost:4000/graphql');
+    console.log('📡 SSE endpoint: http://localhost:4000/graphql/stream');
     console.log('📝 Subscriptions support resuming from specific message IDs');
   } catch (err) {
     app.log.error(err);
@@ -120,6 +120,7 @@ export async function start() {
 
 export async function stop() {
   await app.close();
+  await storage.messages.close();
 }
 
 export { app };
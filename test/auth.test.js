@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import {
+  createAuth,
+  FORBIDDEN,
+  signToken,
+  UNAUTHORIZED,
+  verifyToken,
+} from '../src/auth.js';
+
+const SECRET = 'test-secret';
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// A socket recording how it was closed
+function createSocket() {
+  const socket = new EventEmitter();
+  socket.closed = null;
+  socket.close = (code, reason) => {
+    socket.closed = { code, reason };
+    socket.emit('close');
+  };
+  return socket;
+}
+
+describe('verifyToken', () => {
+  test('returns the claims of a valid token', () => {
+    const claims = verifyToken(signToken({ sub: 'alice' }, SECRET), SECRET);
+    assert.equal(claims.sub, 'alice');
+  });
+
+  test('rejects a missing token with 401', () => {
+    assert.throws(() => verifyToken(undefined, SECRET), {
+      closeCode: UNAUTHORIZED,
+      statusCode: 401,
+    });
+  });
+
+  test('rejects a tampered signature with 403', () => {
+    const [header, payload, signature] = signToken(
+      { sub: 'alice' },
+      SECRET,
+    ).split('.');
+    const tampered = `${header}.${payload}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+    assert.throws(() => verifyToken(tampered, SECRET), {
+      message: 'Invalid token',
+      closeCode: FORBIDDEN,
+      statusCode: 403,
+    });
+  });
+
+  test('rejects a token signed with another secret with 403', () => {
+    const token = signToken({ sub: 'alice' }, 'other-secret');
+    assert.throws(() => verifyToken(token, SECRET), { statusCode: 403 });
+  });
+
+  test('rejects an expired token with 401', () => {
+    const token = signToken({ sub: 'alice' }, SECRET, { expiresIn: -1 });
+    assert.throws(() => verifyToken(token, SECRET), {
+      message: 'Token expired',
+      closeCode: UNAUTHORIZED,
+      statusCode: 401,
+    });
+  });
+
+  test('rejects another algorithm with 403', () => {
+    // Signed with the secret, but the header does not claim HS256
+    const header = base64url({ alg: 'none', typ: 'JWT' });
+    const payload = base64url({ sub: 'alice' });
+    const signature = createHmac('sha256', SECRET)
+      .update(`${header}.${payload}`)
+      .digest('base64url');
+    assert.throws(
+      () => verifyToken(`${header}.${payload}.${signature}`, SECRET),
+      {
+        message: 'Invalid token',
+        closeCode: FORBIDDEN,
+        statusCode: 403,
+      },
+    );
+  });
+});
+
+describe('createAuth', () => {
+  const auth = createAuth(SECRET);
+
+  beforeEach(() => mock.timers.enable({ apis: ['Date', 'setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+
+  test('rejects a non-string authorization with 403', async () => {
+    for (const authorization of [42, { token: 'x' }, ['Bearer x']]) {
+      const socket = createSocket();
+      const result = await auth.onConnect.call(
+        { socket },
+        { payload: { authorization } },
+      );
+      assert.equal(result, false);
+      assert.equal(socket.closed.code, FORBIDDEN);
+
+      assert.throws(() => auth.context({ headers: { authorization } }), {
+        statusCode: 403,
+      });
+    }
+  });
+
+  test('closes the socket with 4401 when the token expires', async () => {
+    const socket = createSocket();
+    const token = signToken({ sub: 'alice' }, SECRET, { expiresIn: 60 });
+    const { identity } = await auth.onConnect.call(
+      { socket },
+      { payload: { authorization: `Bearer ${token}` } },
+    );
+    assert.equal(identity.sub, 'alice');
+
+    mock.timers.tick(59_000);
+    assert.equal(socket.closed, null);
+    mock.timers.tick(1_000);
+    assert.deepEqual(socket.closed, {
+      code: UNAUTHORIZED,
+      reason: 'Token expired',
+    });
+  });
+
+  test('waits for tokens valid longer than the longest timer delay', async () => {
+    const socket = createSocket();
+    const month = 30 * 24 * 3_600;
+    const token = signToken({ sub: 'alice' }, SECRET, { expiresIn: month });
+    await auth.onConnect.call(
+      { socket },
+      { payload: { authorization: `Bearer ${token}` } },
+    );
+
+    mock.timers.tick(2 ** 31);
+    assert.equal(socket.closed, null);
+    mock.timers.tick(month * 1_000 - 2 ** 31);
+    assert.equal(socket.closed?.code, UNAUTHORIZED);
+  });
+});
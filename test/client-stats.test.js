@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { after, before, test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { WebSocketServer } from 'ws';
+import { GraphQLClient } from '../src/client.js';
+
+let server;
+
+before(async () => {
+  // Replays a message created a minute ago, then sends a live one
+  server = new WebSocketServer({ port: 0 });
+  server.on('connection', (socket) => {
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      if (message.type === 'connection_init') {
+        socket.send(JSON.stringify({ type: 'connection_ack' }));
+      } else if (message.type === 'subscribe') {
+        const ages = [60_000, 0];
+        ages.forEach((age, index) => {
+          const onMessage = {
+            id: `message-${index + 1}`,
+            seq: index + 1,
+            channel: 'general',
+            text: 'hello',
+            user: 'alice',
+            at: new Date(Date.now() - age).toISOString(),
+          };
+          socket.send(
+            JSON.stringify({
+              id: message.id,
+              type: 'next',
+              payload: { data: { onMessage } },
+            }),
+          );
+        });
+      }
+    });
+  });
+  await once(server, 'listening');
+});
+
+after(() => server.close());
+
+test('keeps the age of the replayed messages out of the latency', async () => {
+  const client = new GraphQLClient(
+    `ws://localhost:${server.address().port}/graphql`,
+    'stats-test',
+    false,
+  );
+  await client.connect();
+  try {
+    const received = [];
+    const subscriptionId = client.subscribe((message) =>
+      received.push(message),
+    );
+    while (received.length < 2) {
+      await sleep(10);
+    }
+
+    const { latency, replayAge } =
+      client.getStats().subscriptions[subscriptionId];
+    assert.equal(latency.count, 1);
+    assert.ok(latency.max < 1_000);
+    assert.equal(replayAge.count, 1);
+    assert.ok(replayAge.min >= 60_000);
+  } finally {
+    client.disconnect();
+  }
+});
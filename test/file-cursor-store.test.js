@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { FileCursorStore } from '../src/file-cursor-store.js';
+
+let directory;
+
+before(async () => {
+  directory = await mkdtemp(join(tmpdir(), 'cursors-'));
+});
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+test('starts empty without a cursor file', async () => {
+  const store = new FileCursorStore(join(directory, 'missing.json'));
+  await store.load();
+  assert.equal(store.get('client', 'subscription'), null);
+});
+
+test('keeps the cursors across instances', async () => {
+  const path = join(directory, 'cursors.json');
+  const store = new FileCursorStore(path);
+  await store.load();
+  store.set('client', 'subscription', 'message-1');
+  await store.flush();
+
+  const restarted = new FileCursorStore(path);
+  await restarted.load();
+  assert.equal(restarted.get('client', 'subscription'), 'message-1');
+});
+
+test('fails on every load of a corrupt file, and keeps it', async () => {
+  const path = join(directory, 'corrupt.json');
+  await writeFile(path, '{"client":{"subscription":"mess');
+  const store = new FileCursorStore(path);
+
+  await assert.rejects(store.load(), /Corrupt cursor file/);
+  await assert.rejects(store.load(), /Corrupt cursor file/);
+  assert.equal(await readFile(path, 'utf8'), '{"client":{"subscription":"mess');
+});
+
+test('reports the failed background writes to the logger', async () => {
+  const errors = [];
+  const store = new FileCursorStore(join(directory, 'missing', 'c.json'), {
+    logger: { error: (...args) => errors.push(args.join(' ')) },
+  });
+  store.set('client', 'subscription', 'message-1');
+  // After the batching delay
+  await sleep(200);
+  assert.match(errors[0] ?? '', /Error saving cursors/);
+  // A direct flush rejects instead
+  await assert.rejects(store.flush(), { code: 'ENOENT' });
+});
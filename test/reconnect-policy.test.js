@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { WebSocketServer } from 'ws';
+import { GraphQLClient } from '../src/client.js';
+import { ReconnectPolicy } from '../src/reconnect-policy.js';
+
+// The delays of the policy until it gives up
+function delays(policy, max = 20) {
+  const result = [];
+  for (let i = 0; i < max; i++) {
+    const delay = policy.nextDelay();
+    result.push(delay);
+    if (delay === null) {
+      break;
+    }
+  }
+  return result;
+}
+
+describe('ReconnectPolicy', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 0 }));
+  afterEach(() => mock.timers.reset());
+
+  test('backs off exponentially up to maxDelay without jitter', () => {
+    const policy = new ReconnectPolicy({
+      initialDelay: 100,
+      maxDelay: 500,
+      jitter: 'none',
+      maxAttempts: 5,
+    });
+    assert.deepEqual(delays(policy), [100, 200, 400, 500, 500, null]);
+  });
+
+  test('picks a random delay up to the backoff with full jitter', () => {
+    const policy = new ReconnectPolicy({
+      initialDelay: 100,
+      jitter: 'full',
+      maxAttempts: 3,
+      random: () => 0.5,
+    });
+    assert.deepEqual(delays(policy), [50, 100, 200, null]);
+  });
+
+  test('grows from the previous delay with decorrelated jitter', () => {
+    const policy = new ReconnectPolicy({
+      initialDelay: 100,
+      maxDelay: 1_000,
+      jitter: 'decorrelated',
+      maxAttempts: 4,
+      random: () => 1,
+    });
+    // initialDelay + random * (3 * previous - initialDelay), capped
+    assert.deepEqual(delays(policy), [300, 900, 1_000, 1_000, null]);
+  });
+
+  test('gives up after maxElapsedTime', () => {
+    const policy = new ReconnectPolicy({
+      initialDelay: 100,
+      jitter: 'none',
+      maxAttempts: Infinity,
+      maxElapsedTime: 1_000,
+    });
+    assert.equal(policy.nextDelay(), 100);
+    mock.timers.tick(999);
+    assert.equal(policy.nextDelay(), 200);
+    mock.timers.tick(1);
+    assert.equal(policy.nextDelay(), null);
+  });
+
+  test('waits the cool-down after maxAttempts and starts a new round', () => {
+    const policy = new ReconnectPolicy({
+      initialDelay: 100,
+      jitter: 'none',
+      maxAttempts: 2,
+      cooldown: 5_000,
+    });
+    assert.deepEqual(
+      [1, 2, 3, 4, 5, 6].map(() => policy.nextDelay()),
+      [100, 200, 5_000, 100, 200, 5_000],
+    );
+  });
+
+  test('starts over after reset', () => {
+    const policy = new ReconnectPolicy({
+      initialDelay: 100,
+      jitter: 'none',
+      maxAttempts: 1,
+      maxElapsedTime: 1_000,
+    });
+    assert.equal(policy.nextDelay(), 100);
+    mock.timers.tick(1_000);
+    assert.equal(policy.nextDelay(), null);
+    policy.reset();
+    assert.equal(policy.nextDelay(), 100);
+  });
+});
+
+describe('GraphQLClient reconnection', () => {
+  let server;
+  let closeCode;
+
+  // Retries every 50 ms, 3 times
+  function createClient() {
+    return new GraphQLClient(
+      `ws://localhost:${server.address().port}/graphql`,
+      'reconnect-test',
+      false,
+      {
+        reconnectPolicy: new ReconnectPolicy({
+          initialDelay: 50,
+          jitter: 'none',
+          maxAttempts: 3,
+        }),
+      },
+    );
+  }
+
+  beforeEach(async () => {
+    // Accepts the WebSocket, then closes it during the initialization
+    closeCode = 4500;
+    server = new WebSocketServer({ port: 0 });
+    server.on('connection', (socket) => {
+      socket.on('message', () => socket.close(closeCode, 'Rejected'));
+    });
+    await once(server, 'listening');
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+
+  afterEach(async () => {
+    mock.timers.reset();
+    server.close();
+    await once(server, 'close');
+  });
+
+  test('gives up when the server closes every connection before the ack', {
+    timeout: 10_000,
+  }, async () => {
+    const client = createClient();
+    const attempts = [];
+    client.on('reconnecting', ({ attempt, delay }) => {
+      attempts.push(attempt);
+      // Fire the reconnection delay
+      setImmediate(() => mock.timers.tick(delay));
+    });
+    const gaveUp = once(client, 'gave-up');
+
+    await assert.rejects(client.connect(), { code: 4500 });
+    const [{ attempts: count }] = await gaveUp;
+
+    assert.deepEqual(attempts, [1, 2, 3]);
+    assert.equal(count, 3);
+    client.disconnect();
+  });
+
+  test('gives up at once on an invalid token', {
+    timeout: 10_000,
+  }, async () => {
+    closeCode = 4403;
+    const client = createClient();
+    const reconnecting = [];
+    const errors = [];
+    client.on('reconnecting', (event) => reconnecting.push(event));
+    client.on('error', (error) => errors.push(error.code));
+    // events.once() would reject on the error event
+    const gaveUp = new Promise((resolve) => client.once('gave-up', resolve));
+
+    await assert.rejects(client.connect(), { code: 4403 });
+    const { attempts } = await gaveUp;
+
+    assert.equal(attempts, 0);
+    assert.deepEqual(reconnecting, []);
+    assert.deepEqual(errors, [4403]);
+    client.disconnect();
+  });
+
+  test('reconnects on an expired token', { timeout: 10_000 }, async () => {
+    closeCode = 4401;
+    const client = createClient();
+    const attempts = [];
+    client.on('reconnecting', ({ attempt, delay }) => {
+      attempts.push(attempt);
+      setImmediate(() => mock.timers.tick(delay));
+    });
+    const gaveUp = once(client, 'gave-up');
+
+    await assert.rejects(client.connect(), { code: 4401 });
+    await gaveUp;
+
+    assert.deepEqual(attempts, [1, 2, 3]);
+    client.disconnect();
+  });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { GraphQLClient } from '../src/client.js';
+
+const URL = 'ws://localhost:4000/graphql';
+
+// Messages in the history before resuming, and the message resumed from
+const HISTORY = 500;
+const RESUME_FROM = 10;
+
+// Resume from an old message id while other clients keep publishing:
+// every message after it must be received once, in order
+export async function resumeUnderLoad(transport) {
+  const sender = new GraphQLClient(URL, `sender-${transport}`, false);
+  for (let i = 0; i < HISTORY; i++) {
+    await sender.sendMessage('sender', `history ${i}`);
+  }
+  const { messages } = await sender.request(
+    'query ($first: Int) { messages(first: $first) { nodes { id seq } } }',
+    { first: RESUME_FROM },
+  );
+  const resumeFrom = messages.nodes[RESUME_FROM - 1];
+
+  let publishing = true;
+  const publisher = (async () => {
+    while (publishing) {
+      await Promise.all(
+        [1, 2, 3].map(() => sender.sendMessage('sender', 'live')),
+      );
+    }
+  })();
+
+  const client = new GraphQLClient(URL, `resumer-${transport}`, true, {
+    transport,
+  });
+  const received = [];
+  const duplicates = [];
+  client.on('duplicate', ({ message }) => duplicates.push(message.seq));
+  await client.connect();
+  client.subscribe((message) => received.push(message.seq), resumeFrom.id);
+
+  try {
+    await sleep(1_000);
+    publishing = false;
+    await publisher;
+
+    const { messages: last } = await sender.request(
+      '{ messages(last: 1) { nodes { seq } } }',
+    );
+    const lastSeq = last.nodes[0].seq;
+    // Wait for the messages still in flight
+    for (let i = 0; i < 50 && received.at(-1) !== lastSeq; i++) {
+      await sleep(100);
+    }
+
+    const expected = Array.from(
+      { length: lastSeq - resumeFrom.seq },
+      (_, index) => resumeFrom.seq + 1 + index,
+    );
+    assert.ok(lastSeq > HISTORY, 'messages were published during the resume');
+    assert.deepEqual(received, expected);
+    assert.deepEqual(duplicates, []);
+  } finally {
+    publishing = false;
+    await publisher;
+    await client.disconnect();
+  }
+}
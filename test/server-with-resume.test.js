@@ -0,0 +1,12 @@
+import { after, before, test } from 'node:test';
+import { start, stop } from '../src/server-with-resume.js';
+import { resumeUnderLoad } from './resume-under-load.js';
+
+before(start);
+after(stop);
+
+test('resumes over WebSocket without loss or duplicates while publishing', () =>
+  resumeUnderLoad('websocket'));
+
+test('resumes over SSE without loss or duplicates while publishing', () =>
+  resumeUnderLoad('sse'));